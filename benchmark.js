@@ -0,0 +1,49 @@
+import Document from "./import/Document.js";
+import {jsx} from "./import/jsx-runtime.js";
+
+/*
+    Compare the render times of wide trees with siblings rendered one after the other (setConcurrency(1), the
+    behavior before concurrent rendering) and concurrently (default), by doing "npm run benchmark"
+ */
+
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const AsyncItem = async ({index, latency}) => {
+    await sleep(latency);
+    return jsx("li", {onClick: () => console.log("clicked"), children: `Item ${index}`});
+};
+
+const SyncItem = ({index}) => jsx("li", {className: "item", children: [jsx("b", {children: index}), " item"]});
+
+const list = (component, count, props = {}) => jsx("ul", {
+    children: Array.from({length: count}, (_, index) => jsx(component, {...props, index}, index))
+});
+
+const benchmarks = [
+    {name: "10 async components (50ms each)", element: list(AsyncItem, 10, {latency: 50}), runs: 5},
+    {name: "100 async components (10ms each)", element: list(AsyncItem, 100, {latency: 10}), runs: 5},
+    {name: "1000 async components (1ms each)", element: list(AsyncItem, 1000, {latency: 1}), runs: 5},
+    {name: "10000 sync components", element: list(SyncItem, 10000), runs: 5}
+];
+
+const measure = async (document, element, runs) => {
+    await document.renderToDynamicMarkup(element); // warm up
+
+    const start = performance.now();
+    for (let run = 0; run < runs; run++)
+        await document.renderToDynamicMarkup(element);
+
+    return (performance.now() - start) / runs;
+};
+
+for (const {name, element, runs} of benchmarks) {
+    const sequential = await measure(new Document().setConcurrency(1), element, runs);
+    const concurrent = await measure(new Document(), element, runs);
+    const unlimited = await measure(new Document().setConcurrency(Infinity), element, runs);
+
+    console.log(name);
+    console.log(`    sequential:      ${sequential.toFixed(1)}ms`);
+    console.log(`    concurrent (64): ${concurrent.toFixed(1)}ms (x${(sequential / concurrent).toFixed(1)})`);
+    console.log(`    no limit:        ${unlimited.toFixed(1)}ms (x${(sequential / unlimited).toFixed(1)})`);
+}
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+import * as fs from "node:fs";
+import * as path from "node:path";
+import {spawn} from "node:child_process";
+import {fileURLToPath, pathToFileURL} from "node:url";
+import {parseArgs} from "node:util";
+import Document from "../import/Document.js";
+
+/*
+    Static site generation: "react-to-dynamic-markup build" renders the pages with renderToDynamicMarkup into an
+    output directory, copies the static assets and writes a sitemap.xml
+
+    The pages are the component modules of a pages directory (pages/products/[id].js is /products/[id]/index.html)
+    or the routes of the config file (react-to-dynamic-markup.config.js), see the README for the options.
+    With --watch, the pages are rendered again when their files change.
+ */
+
+
+const USAGE = `Usage: react-to-dynamic-markup build [options]
+
+Options:
+  --config <file>     config file (default: react-to-dynamic-markup.config.js or .mjs if it exists)
+  --pages <dir>       directory of the page modules (default: pages)
+  --out <dir>         output directory (default: dist)
+  --public <dir>      directory of the static assets copied as is (default: public)
+  --base-url <url>    URL of the site, needed for the sitemap (ex: https://example.com)
+  --watch             render the pages again when their files change
+  --page <file>       render only this page module, can be repeated (the sitemap has all the pages)
+  --help              show this help`;
+
+const CONFIG_FILES = ["react-to-dynamic-markup.config.js", "react-to-dynamic-markup.config.mjs"];
+const PAGE_EXTENSIONS = [".js", ".mjs", ".cjs"]; // extensions Node imports without loader
+const DYNAMIC_SEGMENT = /^\[(\.\.\.)?([a-zA-Z_$][a-zA-Z0-9_$]*)]$/;
+
+
+/**
+ * Read the options from the command line and the config file, the command line wins
+ * @param {string[]} args
+ * @return {Promise<{configFile: string|null, pages: string|null, routes: Object[]|null, out: string, public: string|null, baseUrl: string|null, document: Document|Function|null, extensions: Set<string>, watch: string[], watchMode: boolean, help: boolean, onlyPages: string[]}>}
+ */
+async function loadOptions(args) {
+
+    const {values} = parseArgs({
+        args,
+        options: {
+            "config": {type: "string"},
+            "pages": {type: "string"},
+            "out": {type: "string"},
+            "public": {type: "string"},
+            "base-url": {type: "string"},
+            "watch": {type: "boolean"},
+            "page": {type: "string", multiple: true},
+            "help": {type: "boolean"}
+        }
+    });
+
+    const configFile = values.config
+        ? path.resolve(values.config)
+        : CONFIG_FILES.map(file => path.resolve(file)).find(file => fs.existsSync(file)) ?? null;
+
+    const config = configFile ? (await import(`${pathToFileURL(configFile)}?t=${Date.now()}`)).default ?? {} : {};
+
+    if (config.routes && (values.pages || config.pages))
+        throw new Error("Use either routes or a pages directory, not both");
+
+    const pages = config.routes ? null : path.resolve(values.pages ?? config.pages ?? "pages");
+    const publicDir = path.resolve(values.public ?? config.public ?? "public");
+
+    return {
+        configFile,
+        pages,
+        routes: config.routes ?? null,
+        out: path.resolve(values.out ?? config.out ?? "dist"),
+        public: fs.existsSync(publicDir) ? publicDir : null,
+        baseUrl: values["base-url"] ?? config.baseUrl ?? null,
+        document: config.document ?? null,
+        extensions: new Set([...PAGE_EXTENSIONS, ...(config.pageExtensions ?? [])]),
+        watch: (config.watch ?? []).map(file => path.resolve(file)),
+        watchMode: values.watch ?? false,
+        help: values.help ?? false,
+        onlyPages: (values.page ?? []).map(file => path.resolve(file))
+    };
+}
+
+/**
+ * Find the page modules of the pages directory, files and directories starting with "_" or "." are ignored
+ *
+ * Ex: pages/index.js is "/", pages/about.js is "/about", pages/products/[id].js is "/products/[id]"
+ * @param {string} directory
+ * @param {Set<string>} extensions extensions of the page modules
+ * @return {{path: string, file: string}[]}
+ */
+function findPages(directory, extensions) {
+
+    if (!fs.existsSync(directory))
+        throw new Error(`Pages directory not found: ${directory}`);
+
+    return fs.readdirSync(directory, {recursive: true, withFileTypes: true})
+        .filter(entry => entry.isFile() && extensions.has(path.extname(entry.name)) && !entry.name.endsWith(".d.ts"))
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .filter(file => path.relative(directory, file).split(path.sep).every(part => !part.startsWith("_") && !part.startsWith(".")))
+        .sort()
+        .map(file => {
+            const segments = path.relative(directory, file).slice(0, -path.extname(file).length).split(path.sep);
+            if (segments.at(-1) === "index")
+                segments.pop();
+
+            return {path: `/${segments.join("/")}`, file};
+        });
+}
+
+/**
+ * Load the routes: the page modules of the pages directory or the routes of the config file
+ *
+ * A page module exports the component as default, and for dynamic routes getStaticPaths. A route of the config file
+ * is {path, component, getStaticPaths?, sitemap?}.
+ * @param {Object} options
+ * @return {Promise<{path: string, file: string|null, component: Function, getStaticPaths?: Function, sitemap?: boolean}[]>}
+ */
+async function loadRoutes(options) {
+
+    if (options.routes)
+        return options.routes.map(route => ({file: null, ...route}));
+
+    return await Promise.all(findPages(options.pages, options.extensions).map(async ({path: routePath, file}) => {
+        const module = await import(pathToFileURL(file).href);
+        return {
+            path: routePath,
+            file,
+            component: module.default,
+            getStaticPaths: module.getStaticPaths,
+            sitemap: module.sitemap
+        };
+    }));
+}
+
+/**
+ * Get the pages of a route, a dynamic route has one page by params returned by getStaticPaths
+ *
+ * Ex: getStaticPaths() returns [{params: {id: "1"}, props: {name: "Shoes"}}], the page is rendered with the props
+ * and the params as "params" prop
+ *
+ * isFile is true when the route ends with a static file name (ex: "/404.html"), a param value having a dot
+ * (ex: "react-18.3") is still a directory
+ * @param {{path: string, component: Function, getStaticPaths?: Function}} route
+ * @return {Promise<{path: string, isFile: boolean, props: Object}[]>}
+ */
+async function routePages(route) {
+
+    if (typeof route.component !== "function" && typeof route.component !== "object")
+        throw new Error(`Route ${route.path}: the page must export a component as default`);
+
+    const segments = route.path.split("/").filter(segment => segment !== "");
+    const last = segments.at(-1);
+    const isFile = last !== undefined && !DYNAMIC_SEGMENT.test(last) && path.posix.extname(last) !== "";
+
+    if (!segments.some(segment => DYNAMIC_SEGMENT.test(segment)))
+        return [{path: route.path, isFile, props: {params: {}}}];
+
+    if (typeof route.getStaticPaths !== "function")
+        throw new Error(`Route ${route.path}: dynamic routes need a getStaticPaths function`);
+
+    return (await route.getStaticPaths()).map(({params = {}, props = {}}) => {
+        const pagePath = segments.map(segment => {
+            const [, catchAll, name] = segment.match(DYNAMIC_SEGMENT) ?? [];
+            if (!name)
+                return segment;
+
+            const value = params[name];
+            if (value === undefined || value === null || (catchAll && !Array.isArray(value)))
+                throw new Error(`Route ${route.path}: getStaticPaths must give the param "${name}"${catchAll ? " as an array" : ""}`);
+
+            // a value is one segment of the path, so the page is written in the output directory
+            const values = (catchAll ? value : [value]).map(String);
+            if (values.some(value => value === "" || value === "." || /[\/\\]|\.\./.test(value)))
+                throw new Error(`Route ${route.path}: invalid value of the param "${name}": ${values.join("/")}`);
+
+            return values.map(encodeURIComponent).join("/");
+        });
+
+        return {path: `/${pagePath.join("/")}`, isFile, props: {...props, params}};
+    });
+}
+
+/**
+ * Get the output file of a page, "/about" is "about/index.html" and the file names of the routes are kept
+ * (ex: "/404.html")
+ *
+ * The path is a URL, its segments are decoded (ex: "/products/a%20b" is "products/a b/index.html"), the file must be
+ * in the output directory
+ * @param {string} out
+ * @param {{path: string, isFile: boolean}} page
+ * @return {string}
+ */
+function outputFile(out, {path: pagePath, isFile}) {
+    const file = isFile ? pagePath : path.posix.join(pagePath, "index.html");
+    const target = path.resolve(out, ...file.split("/").map(decodeURIComponent));
+
+    const relative = path.relative(out, target);
+    if (relative === "" || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative))
+        throw new Error(`Page ${pagePath}: its file is outside of the output directory (${target})`);
+
+    return target;
+}
+
+/**
+ * Create the document of a page: the document of the config (copied) or a function of the config creating it
+ * @param {Document|Function|null} document
+ * @param {{path: string, props: Object}} page
+ * @return {Promise<Document>}
+ */
+async function pageDocument(document, page) {
+
+    if (typeof document === "function")
+        return await document(page);
+
+    return document ? document.clone() : new Document();
+}
+
+/**
+ * Write the sitemap listing the pages, except the routes having sitemap: false
+ * @param {string} out
+ * @param {string} baseUrl
+ * @param {{path: string, isFile: boolean}[]} pages
+ */
+function writeSitemap(out, baseUrl, pages) {
+
+    const escapeXml = value => value.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+
+    // the paths are relative to the base URL, which may have a path (ex: https://example.com/blog/)
+    const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+    const urls = pages.map(({path: pagePath, isFile}) => {
+        const relative = pagePath.substring(1);
+        const url = new URL(isFile || relative === "" || relative.endsWith("/") ? relative : `${relative}/`, base);
+        return `  <url><loc>${escapeXml(url.href)}</loc></url>`;
+    });
+
+    fs.writeFileSync(path.join(out, "sitemap.xml"), `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`);
+}
+
+/**
+ * Build the site: render the pages into the output directory, copy the static assets and write the sitemap
+ *
+ * With onlyPages, only these page modules are rendered (the assets are not copied)
+ * @param {Object} options
+ * @return {Promise<void>}
+ */
+async function build(options) {
+
+    const start = Date.now();
+    const routes = await loadRoutes(options);
+    const sitemap = [];
+    let rendered = 0;
+
+    fs.mkdirSync(options.out, {recursive: true});
+
+    if (options.public && options.onlyPages.length === 0)
+        fs.cpSync(options.public, options.out, {recursive: true});
+
+    for (const route of routes) {
+        const pages = await routePages(route);
+
+        if (route.sitemap !== false)
+            sitemap.push(...pages);
+
+        if (options.onlyPages.length > 0 && !options.onlyPages.includes(route.file))
+            continue;
+
+        for (const page of pages) {
+            const document = await pageDocument(options.document, page);
+            const file = outputFile(options.out, page);
+
+            try {
+                const html = await document.renderToDynamicMarkup({type: route.component, props: page.props});
+                fs.mkdirSync(path.dirname(file), {recursive: true});
+                fs.writeFileSync(file, html);
+                rendered++;
+            }
+            catch (error) {
+                throw new Error(`Unable to render ${page.path}: ${error?.message ?? error}`, {cause: error});
+            }
+        }
+    }
+
+    if (options.baseUrl)
+        writeSitemap(options.out, options.baseUrl, sitemap);
+    else
+        console.warn("No base URL (--base-url), the sitemap is not written");
+
+    console.log(`${rendered} page${rendered > 1 ? "s" : ""} rendered in ${path.relative(process.cwd(), options.out) || "."} (${Date.now() - start}ms)`);
+}
+
+/**
+ * Watch the files and build again when they change
+ *
+ * Each build runs in a new process, so the modules are imported again (the module cache of Node can't be cleared).
+ * A change of a page module renders only this page, a change of an asset copies it, other changes (components,
+ * config...) render every page.
+ * @param {Object} options
+ * @param {string[]} args arguments of the command line, given to the build processes
+ */
+function watch(options, args) {
+
+    const script = fileURLToPath(import.meta.url);
+    const buildArgs = args.filter(arg => arg !== "--watch");
+    const watched = [options.pages, options.public, options.configFile, ...options.watch].filter(file => file && fs.existsSync(file));
+    const isInside = (file, directory) => directory && !path.relative(directory, file).startsWith("..") && !path.isAbsolute(path.relative(directory, file));
+
+    let changes = new Set();
+    let building = null;
+    let timer = null;
+
+    const run = pages => new Promise(resolve => {
+        const child = spawn(process.execPath, [...process.execArgv, script, "build", ...buildArgs, ...pages.flatMap(file => ["--page", file])], {stdio: "inherit"});
+        child.on("exit", resolve);
+    });
+
+    const rebuild = async () => {
+        const files = [...changes];
+        changes = new Set();
+
+        // the assets are copied right away, the other changes are built in a new process
+        const assets = files.filter(file => isInside(file, options.public));
+        assets.forEach(file => {
+            const target = path.join(options.out, path.relative(options.public, file));
+            if (fs.existsSync(file))
+                fs.cpSync(file, target, {recursive: true});
+            else
+                fs.rmSync(target, {recursive: true, force: true});
+        });
+
+        // temporary files of the editors are ignored once removed
+        const others = files.filter(file => !assets.includes(file) && (fs.existsSync(file) || options.extensions.has(path.extname(file))));
+        if (others.length === 0)
+            return;
+
+        const pages = options.pages ? findPages(options.pages, options.extensions).map(page => page.file) : [];
+        const onlyPages = others.every(file => pages.includes(file)) ? others : [];
+
+        console.log(`Changed: ${others.map(file => path.relative(process.cwd(), file)).join(", ")}`);
+        await run(onlyPages);
+    };
+
+    const schedule = file => {
+        if (isInside(file, options.out))
+            return;
+
+        changes.add(file);
+        clearTimeout(timer);
+        // a build started during another one waits for it, a failed build is logged and the next changes are built
+        timer = setTimeout(() => building = building.then(rebuild).catch(error => console.error(`Unable to build: ${error?.message ?? error}`)), 100);
+    };
+
+    watched.forEach(file => {
+        const recursive = fs.statSync(file).isDirectory();
+        fs.watch(file, {recursive}, (event, name) => schedule(recursive && name ? path.join(file, name) : file));
+    });
+
+    building = run([]).then(() => console.log(`Watching ${watched.map(file => path.relative(process.cwd(), file) || ".").join(", ")}`));
+}
+
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+    if (command === "--help")
+        console.log(USAGE);
+    else if (command !== "build")
+        throw new Error(`${command ? `Unknown command: ${command}` : "No command"}\n\n${USAGE}`);
+    else {
+        const options = await loadOptions(args);
+
+        if (options.help)
+            console.log(USAGE);
+        else if (options.watchMode)
+            watch(options, args);
+        else
+            await build(options);
+    }
+}
+catch (error) {
+    console.error(error?.cause?.stack ? `${error.message}\n${error.cause.stack}` : error?.message ?? error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,27 @@
+/*
+    JSX runtime used in development by the automatic runtime of Babel, TypeScript and esbuild
+    (jsxImportSource: "react-to-dynamic-markup"), same elements as jsx-runtime
+ */
+
+
+/**
+ * Same symbol as React.Fragment, so the fragments of both runtimes are rendered the same way
+ */
+const Fragment = Symbol.for("react.fragment");
+
+/**
+ * Create an element, the development information (static children, source and self) are ignored
+ *
+ * Ex: jsxDEV("button", {children: "Click me"}, undefined, false, {fileName: "Page.jsx", lineNumber: 4})
+ *
+ * Result: {type: "button", props: {children: "Click me"}, key: null}
+ * @param {string|Function|symbol|Object} type
+ * @param {Object} props
+ * @param {string|number|undefined} key
+ * @return {{type: *, props: Object, key: string|null}}
+ */
+function jsxDEV(type, props, key) {
+    return {type, props, key: key === undefined ? null : String(key)};
+}
+
+export {jsxDEV, Fragment};
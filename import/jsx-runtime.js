@@ -0,0 +1,32 @@
+/*
+    JSX runtime for the automatic runtime of Babel, TypeScript and esbuild (jsxImportSource: "react-to-dynamic-markup")
+    The elements are plain objects rendered by Document the same way as React elements, React is not needed
+ */
+
+
+/**
+ * Same symbol as React.Fragment, so the fragments of both runtimes are rendered the same way
+ */
+const Fragment = Symbol.for("react.fragment");
+
+/**
+ * Create an element
+ *
+ * Ex: jsx("button", {onClick: () => alert("hello"), children: "Click me"})
+ *
+ * Result: {type: "button", props: {onClick: () => alert("hello"), children: "Click me"}, key: null}
+ * @param {string|Function|symbol|Object} type
+ * @param {Object} props
+ * @param {string|number|undefined} key
+ * @return {{type: *, props: Object, key: string|null}}
+ */
+function jsx(type, props, key) {
+    return {type, props, key: key === undefined ? null : String(key)};
+}
+
+/**
+ * Create an element having static children (several children written in the JSX), same as jsx
+ */
+const jsxs = jsx;
+
+export {jsx, jsxs, Fragment};
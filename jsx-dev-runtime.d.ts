@@ -0,0 +1,5 @@
+import {JSX} from "./jsx-runtime";
+
+export {JSX, Fragment} from "./jsx-runtime";
+
+export function jsxDEV(type: any, props: any, key: string | number | undefined, isStaticChildren?: boolean, source?: object, self?: any): JSX.Element
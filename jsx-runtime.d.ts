@@ -0,0 +1,86 @@
+/**
+ * Element created by the JSX runtime, rendered by Document the same way as a React element
+ */
+type DynamicElement = {
+    type: any,
+    props: any,
+    key: string | null
+}
+
+type DynamicNode = DynamicElement | string | number | bigint | boolean | null | undefined | DynamicNode[] | { readonly html: string }
+
+/**
+ * Listener props, the same names as React mapped to the DOM events (ex: onDoubleClick listens to "dblclick",
+ * onFocus to "focusin", onChange of text inputs to "input"), suffixed with "Capture" for the capture phase
+ *
+ * NOTE: listeners are copied as source code to the client, they can't use server variables (see Document.bindListener)
+ */
+type EventNames = {
+    Copy: "copy", Cut: "cut", Paste: "paste",
+    CompositionEnd: "compositionend", CompositionStart: "compositionstart", CompositionUpdate: "compositionupdate",
+    KeyDown: "keydown", KeyPress: "keypress", KeyUp: "keyup",
+    Focus: "focusin", Blur: "focusout",
+    Change: "change", BeforeInput: "beforeinput", Input: "input", Reset: "reset", Submit: "submit", Invalid: "invalid",
+    Load: "load", Error: "error",
+    Click: "click", ContextMenu: "contextmenu", DoubleClick: "dblclick", AuxClick: "auxclick",
+    Drag: "drag", DragEnd: "dragend", DragEnter: "dragenter", DragLeave: "dragleave", DragOver: "dragover",
+    DragStart: "dragstart", Drop: "drop",
+    MouseDown: "mousedown", MouseEnter: "mouseenter", MouseLeave: "mouseleave", MouseMove: "mousemove",
+    MouseOut: "mouseout", MouseOver: "mouseover", MouseUp: "mouseup",
+    PointerDown: "pointerdown", PointerMove: "pointermove", PointerUp: "pointerup", PointerCancel: "pointercancel",
+    PointerEnter: "pointerenter", PointerLeave: "pointerleave", PointerOver: "pointerover", PointerOut: "pointerout",
+    GotPointerCapture: "gotpointercapture", LostPointerCapture: "lostpointercapture",
+    Select: "select", SelectionChange: "selectionchange",
+    TouchCancel: "touchcancel", TouchEnd: "touchend", TouchMove: "touchmove", TouchStart: "touchstart",
+    Scroll: "scroll", ScrollEnd: "scrollend", Wheel: "wheel",
+    Abort: "abort", CanPlay: "canplay", CanPlayThrough: "canplaythrough", DurationChange: "durationchange",
+    Emptied: "emptied", Ended: "ended", LoadedData: "loadeddata", LoadedMetadata: "loadedmetadata",
+    LoadStart: "loadstart", Pause: "pause", Play: "play", Playing: "playing", Progress: "progress",
+    RateChange: "ratechange", Seeked: "seeked", Seeking: "seeking", Stalled: "stalled", Suspend: "suspend",
+    TimeUpdate: "timeupdate", VolumeChange: "volumechange", Waiting: "waiting",
+    AnimationStart: "animationstart", AnimationEnd: "animationend", AnimationIteration: "animationiteration",
+    TransitionStart: "transitionstart", TransitionEnd: "transitionend", TransitionRun: "transitionrun",
+    TransitionCancel: "transitioncancel",
+    Toggle: "toggle", BeforeToggle: "beforetoggle", Close: "close", Cancel: "cancel"
+}
+
+type Listener<E> = (this: globalThis.Element, event: E & { currentTarget: globalThis.Element }) => void
+
+type ListenerProps = {
+    [N in keyof EventNames as `on${N}` | `on${N}Capture`]?: Listener<
+        EventNames[N] extends keyof GlobalEventHandlersEventMap ? GlobalEventHandlersEventMap[EventNames[N]] : Event
+    >
+}
+
+/**
+ * Props of the HTML and SVG elements, the attributes follow the React names (className, htmlFor, tabIndex...)
+ */
+type IntrinsicProps = ListenerProps & {
+    children?: DynamicNode,
+    key?: string | number | null,
+    className?: string,
+    style?: string | { [property: string]: string | number | null | undefined },
+    dangerouslySetInnerHTML?: { __html: string },
+    "data-bind-text"?: string,
+    "data-bind-attr"?: string,
+    [attribute: string]: any
+}
+
+export namespace JSX {
+    type Element = DynamicElement
+    type ElementType = string | ((props: any) => DynamicNode | Promise<DynamicNode>) | (new (props: any) => any) | symbol | object
+    interface ElementChildrenAttribute {
+        children: {}
+    }
+    type IntrinsicElements = {
+        [tag in keyof HTMLElementTagNameMap | keyof SVGElementTagNameMap]: IntrinsicProps
+    } & {
+        [tag: string]: IntrinsicProps
+    }
+}
+
+export const Fragment: symbol
+
+export function jsx(type: any, props: any, key?: string | number): DynamicElement
+
+export function jsxs(type: any, props: any, key?: string | number): DynamicElement
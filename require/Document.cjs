@@ -1,178 +1,3020 @@
+/**
+ * Marker for content which is trusted and must be written as is (no escaping)
+ *
+ * Instances are created with Document.raw(html)
+ */
+class RawHtml {
+    constructor(html) {
+        this.html = String(html);
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+const REACT_MEMO_TYPE = Symbol.for("react.memo");
+const REACT_FORWARD_REF_TYPE = Symbol.for("react.forward_ref");
+const REACT_LAZY_TYPE = Symbol.for("react.lazy");
+const REACT_PROVIDER_TYPE = Symbol.for("react.provider"); // React 18 Context.Provider
+const REACT_CONTEXT_TYPE = Symbol.for("react.context"); // React 18 Context.Consumer, React 19 Context.Provider
+const REACT_CONSUMER_TYPE = Symbol.for("react.consumer"); // React 19 Context.Consumer
+const REACT_SUSPENSE_TYPE = Symbol.for("react.suspense");
+
+const VALID_IDENTIFIER = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/;
+const VALID_TAG_NAME = /^[a-zA-Z][a-zA-Z0-9:._-]*$/;
+const VALID_ATTRIBUTE_NAME = /^[a-zA-Z_:][a-zA-Z0-9_.:-]*$/;
+
+/**
+ * Words which can't be the name of a variable declared in the setup script (strict mode and modules included)
+ */
+const RESERVED_WORDS = new Set([
+    "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do", "else", "enum",
+    "export", "extends", "false", "finally", "for", "function", "if", "import", "in", "instanceof", "new", "null",
+    "return", "super", "switch", "this", "throw", "true", "try", "typeof", "var", "void", "while", "with",
+    "implements", "interface", "let", "package", "private", "protected", "public", "static", "yield", "await",
+    "arguments", "eval"
+]);
+
+/**
+ * Elements which can't have children and are written without closing tag
+ */
+const VOID_ELEMENTS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input", "keygen", "link", "meta", "param", "source", "track", "wbr"
+]);
+
+/**
+ * Props used by React which are not written as attributes
+ */
+const RESERVED_PROPS = new Set([
+    "children", "dangerouslySetInnerHTML", "key", "ref", "innerHTML", "defaultValue", "defaultChecked",
+    "suppressContentEditableWarning", "suppressHydrationWarning"
+]);
+
+/**
+ * React prop name => HTML attribute name
+ */
+const ATTRIBUTE_NAMES = {
+    className: "class",
+    htmlFor: "for",
+    httpEquiv: "http-equiv",
+    acceptCharset: "accept-charset",
+    panose1: "panose-1",
+    xlinkActuate: "xlink:actuate",
+    xlinkArcrole: "xlink:arcrole",
+    xlinkHref: "xlink:href",
+    xlinkRole: "xlink:role",
+    xlinkShow: "xlink:show",
+    xlinkTitle: "xlink:title",
+    xlinkType: "xlink:type",
+    xmlBase: "xml:base",
+    xmlLang: "xml:lang",
+    xmlSpace: "xml:space",
+    xmlnsXlink: "xmlns:xlink"
+};
+
+// HTML attributes written in camelCase by React (ex: tabIndex => tabindex)
+[
+    "accessKey", "allowFullScreen", "autoCapitalize", "autoComplete", "autoCorrect", "autoFocus", "autoPlay", "autoSave",
+    "cellPadding", "cellSpacing", "charSet", "classID", "colSpan", "contentEditable", "contextMenu", "controlsList",
+    "crossOrigin", "dateTime", "disablePictureInPicture", "disableRemotePlayback", "encType", "enterKeyHint",
+    "fetchPriority", "formAction", "formEncType", "formMethod", "formNoValidate", "formTarget", "frameBorder",
+    "hrefLang", "imageSizes", "imageSrcSet", "inputMode", "itemID", "itemProp", "itemRef", "itemScope", "itemType",
+    "keyParams", "keyType", "marginHeight", "marginWidth", "maxLength", "mediaGroup", "minLength", "noModule",
+    "noValidate", "playsInline", "popoverTarget", "popoverTargetAction", "radioGroup", "readOnly", "referrerPolicy",
+    "rowSpan", "spellCheck", "srcDoc", "srcLang", "srcSet", "tabIndex", "useMap"
+].forEach(name => ATTRIBUTE_NAMES[name] = name.toLowerCase());
+
+// SVG attributes written in camelCase by React (ex: strokeWidth => stroke-width)
+[
+    "accentHeight", "alignmentBaseline", "arabicForm", "baselineShift", "capHeight", "clipPath", "clipRule",
+    "colorInterpolation", "colorInterpolationFilters", "colorProfile", "colorRendering", "dominantBaseline",
+    "enableBackground", "fillOpacity", "fillRule", "floodColor", "floodOpacity", "fontFamily", "fontSize",
+    "fontSizeAdjust", "fontStretch", "fontStyle", "fontVariant", "fontWeight", "glyphName",
+    "glyphOrientationHorizontal", "glyphOrientationVertical", "horizAdvX", "horizOriginX", "imageRendering",
+    "letterSpacing", "lightingColor", "markerEnd", "markerMid", "markerStart", "overlinePosition",
+    "overlineThickness", "paintOrder", "pointerEvents", "renderingIntent", "shapeRendering", "stopColor",
+    "stopOpacity", "strikethroughPosition", "strikethroughThickness", "strokeDasharray", "strokeDashoffset",
+    "strokeLinecap", "strokeLinejoin", "strokeMiterlimit", "strokeOpacity", "strokeWidth", "textAnchor",
+    "textDecoration", "textRendering", "transformOrigin", "underlinePosition", "underlineThickness", "unicodeBidi",
+    "unicodeRange", "unitsPerEm", "vAlphabetic", "vHanging", "vIdeographic", "vMathematical", "vectorEffect",
+    "vertAdvY", "vertOriginX", "vertOriginY", "wordSpacing", "writingMode", "xHeight"
+].forEach(name => ATTRIBUTE_NAMES[name] = name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`));
+
+/**
+ * Attributes which are present when true and absent when false
+ */
+const BOOLEAN_ATTRIBUTES = new Set([
+    "allowfullscreen", "async", "autofocus", "autoplay", "checked", "controls", "default", "defer", "disabled",
+    "disablepictureinpicture", "disableremoteplayback", "formnovalidate", "hidden", "inert", "itemscope", "loop",
+    "multiple", "muted", "nomodule", "novalidate", "open", "playsinline", "readonly", "required", "reversed",
+    "scoped", "seamless", "selected"
+]);
+
+/**
+ * Attributes which are present when true, absent when false and can also have a value
+ */
+const OVERLOADED_BOOLEAN_ATTRIBUTES = new Set(["capture", "download"]);
+
+/**
+ * Enumerated attributes which take the string "true" or "false" (as well as aria-* and data-* attributes)
+ */
+const BOOLEANISH_STRING_ATTRIBUTES = new Set([
+    "contenteditable", "draggable", "spellcheck", "autoReverse", "externalResourcesRequired", "focusable",
+    "preserveAlpha"
+]);
+
+/**
+ * CSS properties which accept numbers without unit (no "px" added)
+ */
+const UNITLESS_STYLES = new Set([
+    "animationIterationCount", "aspectRatio", "borderImageOutset", "borderImageSlice", "borderImageWidth", "boxFlex",
+    "boxFlexGroup", "boxOrdinalGroup", "columnCount", "columns", "flex", "flexGrow", "flexPositive", "flexShrink",
+    "flexNegative", "flexOrder", "gridArea", "gridRow", "gridRowEnd", "gridRowSpan", "gridRowStart", "gridColumn",
+    "gridColumnEnd", "gridColumnSpan", "gridColumnStart", "fontWeight", "lineClamp", "lineHeight", "opacity", "order",
+    "orphans", "scale", "tabSize", "widows", "zIndex", "zoom", "fillOpacity", "floodOpacity", "stopOpacity",
+    "strokeDasharray", "strokeDashoffset", "strokeMiterlimit", "strokeOpacity", "strokeWidth"
+]);
+
+// Vendor prefixed versions (ex: WebkitLineClamp, msFlex)
+[...UNITLESS_STYLES].forEach(name => ["Webkit", "ms", "Moz", "O"]
+    .forEach(prefix => UNITLESS_STYLES.add(prefix + name.charAt(0).toUpperCase() + name.substring(1))));
+
+const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#x27;"
+};
+
+/**
+ * Escape a value to be used as text node or as quoted attribute value
+ *
+ * Values marked with Document.raw are returned as is
+ * @param {*} value
+ * @return {string}
+ */
+function escapeHtml(value) {
+    if (value instanceof RawHtml)
+        return value.html;
+
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+let react = null;
+
+/**
+ * React event names (without "on" and "Capture") which are not the lowercase DOM event type
+ *
+ * onFocus and onBlur bubble in React, so they use focusin and focusout
+ */
+const EVENT_TYPES = {
+    DoubleClick: "dblclick",
+    Focus: "focusin",
+    Blur: "focusout"
+};
+
+/**
+ * React event names ending with "Capture" which are not capture listeners
+ */
+const CAPTURE_EVENTS = new Set(["GotPointerCapture", "LostPointerCapture"]);
+
+/**
+ * Input types for which React onChange is the "change" event, other inputs use the "input" event (on each keystroke)
+ */
+const CHANGE_INPUT_TYPES = new Set(["checkbox", "radio", "file"]);
+
+/**
+ * Listeners created with Document.bindListener or Document.listenerOptions => {listener, values, options}
+ * @type {WeakMap<Function, {listener: Function, values: Object, options: Object}>}
+ */
+const listenerDetails = new WeakMap();
+
+/**
+ * Get the DOM event of a React listener prop
+ *
+ * Ex: getEvent("onDoubleClickCapture", "div")
+ *
+ * Result: {type: "dblclick", capture: true}
+ * @param {string} key React prop name (ex: onClick)
+ * @param {string} tag lowercase tag name
+ * @param {string?} inputType type attribute of an input
+ * @return {{type: string, capture: boolean}}
+ */
+function getEvent(key, tag, inputType) {
+
+    let name = key.substring(2);
+    let capture = false;
+
+    if (name.endsWith("Capture") && !CAPTURE_EVENTS.has(name)) {
+        name = name.substring(0, name.length - "Capture".length);
+        capture = true;
+    }
+
+    if (name === "Change" && (tag === "textarea" || (tag === "input" && !CHANGE_INPUT_TYPES.has(String(inputType).toLowerCase()))))
+        return {type: "input", capture};
+
+    return {type: EVENT_TYPES[name] ?? name.toLowerCase(), capture};
+}
+
+/**
+ * Create a listener wrapper calling the listener, with details used to create the client code
+ * @param {Function} listener
+ * @param {{values?: Object, options?: Object}} details
+ * @return {Function}
+ */
+function wrapListener(listener, details) {
+
+    const current = listenerDetails.get(listener) ?? {listener, values: {}, options: {}};
+
+    const wrapper = function (...args) {
+        return listener.apply(this, args);
+    };
+    listenerDetails.set(wrapper, {
+        listener: current.listener,
+        values: {...current.values, ...details.values},
+        options: {...current.options, ...details.options}
+    });
+
+    return wrapper;
+}
+
+/**
+ * Serialize a server value into a JavaScript expression recreating it on the client
+ *
+ * Supports JSON values, undefined, NaN, Infinity, BigInt, Date, RegExp, Map and Set. The "<" character is escaped,
+ * so the result can be written in a script tag.
+ *
+ * Ex: serializeValue({date: new Date(0), ids: new Set([1n])})
+ *
+ * Result: {"date":new Date(0),"ids":new Set([1n])}
+ * @param {*} value
+ * @param {Set<Object>} parents objects being serialized, to detect circular references
+ * @return {string}
+ */
+function serializeValue(value, parents = new Set()) {
+
+    if (value === undefined)
+        return "undefined";
+    if (typeof value === "bigint")
+        return `${value}n`;
+    if (typeof value === "number")
+        return Object.is(value, -0) ? "-0" : String(value); // NaN and Infinity are not valid JSON
+    if (typeof value === "string")
+        return JSON.stringify(value).replace(/</g, "\\u003C").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+    if (value === null || typeof value === "boolean")
+        return String(value);
+    if (typeof value !== "object")
+        throw new Error(`Unable to serialize a value of type ${typeof value}`);
+
+    if (parents.has(value))
+        throw new Error("Unable to serialize a circular reference");
+    parents = new Set(parents).add(value);
+
+    if (value instanceof Date)
+        return `new Date(${value.getTime()})`;
+    if (value instanceof RegExp)
+        return `new RegExp(${serializeValue(value.source)}, ${serializeValue(value.flags)})`;
+    if (value instanceof Map)
+        return `new Map([${[...value].map(([key, item]) => `[${serializeValue(key, parents)},${serializeValue(item, parents)}]`).join(",")}])`;
+    if (value instanceof Set)
+        return `new Set([${[...value].map(item => serializeValue(item, parents)).join(",")}])`;
+    if (Array.isArray(value))
+        return `[${value.map(item => serializeValue(item, parents)).join(",")}]`;
+
+    // a computed key is needed for "__proto__" to be an own property
+    return `{${Object.entries(value).map(([key, item]) => `${key === "__proto__" ? `["__proto__"]` : serializeValue(key)}:${serializeValue(item, parents)}`).join(",")}}`;
+}
+
+/**
+ * Get the client source code of a listener, including the server values bound with Document.bindListener
+ * @param {Function} listener
+ * @return {string}
+ */
+function listenerSource(listener) {
+
+    const details = listenerDetails.get(listener);
+    if (!details)
+        return listener.toString();
+
+    const constants = Object.entries(details.values).map(([name, value]) => `const ${name} = ${serializeValue(value)};`);
+    if (constants.length === 0)
+        return details.listener.toString();
+
+    return `(() => {\n${constants.join("\n")}\nreturn ${details.listener};\n})()`;
+}
+
+/**
+ * Load React if it is installed, it is only needed to make hooks available to components
+ *
+ * React is resolved from this package, then from the current working directory (linked package, monorepo...)
+ * @return {Promise<Object|null>}
+ */
+function loadReact() {
+    return react ??= import("react")
+        .catch(() => import("node:module").then(({createRequire}) => createRequire(`${process.cwd()}/`)("react")))
+        .then(module => module.default ?? module, () => null);
+}
+
+/**
+ * Replace the hooks dispatcher of React
+ * @param {Object|null} React
+ * @param {Object|null} dispatcher
+ * @return {Object|null} previous dispatcher
+ */
+function setDispatcher(React, dispatcher) {
+    const internals18 = React?.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED?.ReactCurrentDispatcher;
+    const internals19 = React?.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE;
+    let previous = null;
+
+    if (internals18) {
+        previous = internals18.current;
+        internals18.current = dispatcher;
+    }
+    else if (internals19) {
+        previous = internals19.H;
+        internals19.H = dispatcher;
+    }
+
+    return previous;
+}
+
+/**
+ * Read the value of a context from the nearest provider, or its default value
+ * @param {{contexts?: Map}} scope
+ * @param {Object} context
+ * @return {*}
+ */
+function readContext(scope, context) {
+    if (scope.contexts?.has(context))
+        return scope.contexts.get(context);
+
+    return context._currentValue;
+}
+
+/**
+ * Resolve the component of a React.lazy type
+ * @param {Object} lazy
+ * @return {Promise<Function|Object>}
+ */
+async function resolveLazy(lazy) {
+    while (true) {
+        try {
+            return lazy._init(lazy._payload);
+        }
+        catch (thrown) {
+            // React.lazy throws the pending promise until the module is loaded
+            if (thrown && typeof thrown.then === "function")
+                await thrown;
+            else
+                throw thrown;
+        }
+    }
+}
+
+/**
+ * Client function swapping the fallback of a suspense boundary with its resolved content, then attaching its listeners
+ *
+ * The boundary is written as: <!--$?--><template id="B:0"></template>fallback<!--/$-->
+ * and the resolved content as: <template id="S:0">content</template>
+ * @param {string} boundaryId
+ * @param {string} segmentId
+ * @param {Function?} setup
+ */
+function swapSuspenseBoundary(boundaryId, segmentId, setup) {
+    const template = document.getElementById(boundaryId);
+    const segment = document.getElementById(segmentId);
+
+    let node = template.nextSibling;
+    while (node && !(node.nodeType === Node.COMMENT_NODE && node.data === "/$")) {
+        const next = node.nextSibling;
+        node.remove();
+        node = next;
+    }
+
+    node.parentNode.insertBefore(segment.content, node);
+    template.previousSibling.data = "$";
+    template.remove();
+    segment.remove();
+
+    if (setup)
+        setup();
+}
+
+/**
+ * Client function loading the island module and hydrating an island with its component (see Document.Island)
+ *
+ * The module exports the island components, createElement (from react) and hydrateRoot (from react-dom/client)
+ * @param {string} src
+ * @param {string} identifier
+ * @param {string} name
+ * @param {Object} props
+ */
+function mountIsland(src, identifier, name, props) {
+    import(src).then(module => {
+        const container = document.querySelector(`[data-island="${identifier}"]`);
+        module.hydrateRoot(container, module.createElement(module[name], props));
+    });
+}
+
+/**
+ * Client function creating the store of the signals, the listeners use it as "store" and it updates the elements
+ * bound with data-bind-text="name" (text content) and data-bind-attr="attribute:name, ..." (attributes, a name
+ * prefixed with ! is negated, null, undefined and false remove the attribute except for aria and data attributes)
+ *
+ * Ex: store.set("count", count => count + 1); const [open, setOpen] = store.createSignal("open", false);
+ * @return {{get: Function, set: Function, subscribe: Function, createSignal: Function, init: Function, bind: Function}}
+ */
+function createStore() {
+    const values = {};
+    const subscribers = {};
+    const bound = new WeakSet();
+
+    const store = {
+        get(name) {
+            return values[name];
+        },
+        set(name, value) {
+            value = typeof value === "function" ? value(values[name]) : value;
+            if (name in values && Object.is(values[name], value))
+                return;
+
+            values[name] = value;
+            [...(subscribers[name] ?? [])].forEach(callback => callback(value));
+        },
+        subscribe(name, callback) {
+            (subscribers[name] ??= []).push(callback);
+            return () => subscribers[name].splice(subscribers[name].indexOf(callback) >>> 0, 1);
+        },
+        createSignal(name, initialValue) {
+            if (!(name in values))
+                values[name] = initialValue;
+
+            return [() => store.get(name), value => store.set(name, value)];
+        },
+        init(initialValues) {
+            // the setup scripts of late segments (suspense) don't reset the values changed by the user meanwhile
+            Object.entries(initialValues).forEach(([name, value]) => {
+                if (!(name in values))
+                    store.set(name, value);
+            });
+        },
+        bind(root) {
+            root.querySelectorAll("[data-bind-text], [data-bind-attr]").forEach(element => {
+                if (bound.has(element))
+                    return;
+                bound.add(element);
+
+                const bindings = (element.getAttribute("data-bind-attr") ?? "").split(",")
+                    .filter(binding => binding.includes(":"))
+                    .map(binding => binding.split(":").map(part => part.trim()));
+                if (element.hasAttribute("data-bind-text"))
+                    bindings.push([null, element.getAttribute("data-bind-text").trim()]);
+
+                bindings.forEach(([attribute, expression]) => {
+                    const name = expression.replace(/^!\s*/, "");
+                    const update = () => {
+                        // elements removed from the page (ex: swapped by a fragment) are not updated anymore
+                        if (!element.isConnected)
+                            return unsubscribe();
+
+                        const value = expression.startsWith("!") ? !values[name] : values[name];
+
+                        // same as react-dom, booleans are written as strings in aria and data attributes
+                        const booleanish = /^(aria|data)-/.test(attribute);
+
+                        if (attribute === null)
+                            element.textContent = value ?? "";
+                        else if (value === null || value === undefined || (value === false && !booleanish))
+                            element.removeAttribute(attribute);
+                        else
+                            element.setAttribute(attribute, value === true && !booleanish ? "" : value);
+                    };
+                    const unsubscribe = store.subscribe(name, update);
+
+                    if (name in values)
+                        update();
+                });
+            });
+        }
+    };
+
+    return store;
+}
+
+/**
+ * Client function registering delegated listeners: one listener per event type on the document dispatches
+ * the events to the handlers registered for the elements (by data-identifier)
+ *
+ * Ex: delegateListeners([() => alert("hello")], {"button_0": [["click", 0]], "button_1": [["click", 0, {"once": true}]]})
+ * @param {Function[]} handlers
+ * @param {{[identifier:string]: [string, number, Object?][]}} registry event type, handler index and options, by identifier
+ */
+function delegateListeners(handlers, registry) {
+    const delegation = window.__delegatedListeners ??= {registry: {}, types: new Set()};
+
+    Object.entries(registry).forEach(([identifier, events]) => {
+        delegation.registry[identifier] = events.map(([type, index, options = {}]) => ({type, handler: handlers[index], options}));
+
+        events.forEach(([type]) => {
+            if (delegation.types.has(type))
+                return;
+            delegation.types.add(type);
+
+            // capture phase, so events which don't bubble (focus, mouseenter...) are received too
+            document.addEventListener(type, event => {
+                const path = [];
+                for (let element = event.target; element && element.getAttribute; element = element.parentElement)
+                    path.push(element);
+
+                const dispatch = (element, capture) => {
+                    const listeners = delegation.registry[element.getAttribute("data-identifier")] ?? [];
+
+                    listeners
+                        .filter(listener => listener.type === type && !!listener.options.capture === capture)
+                        .forEach(listener => {
+                            if (listener.options.once)
+                                listeners.splice(listeners.indexOf(listener), 1);
+
+                            Object.defineProperty(event, "currentTarget", {configurable: true, value: element});
+                            listener.handler.call(element, event);
+                        });
+                };
+
+                // capture listeners from the root to the target, then other listeners from the target to the root
+                for (const element of [...path].reverse()) {
+                    if (event.cancelBubble)
+                        return;
+                    dispatch(element, true);
+                }
+                for (const element of event.bubbles ? path : path.slice(0, 1)) {
+                    if (event.cancelBubble)
+                        return;
+                    dispatch(element, false);
+                }
+            }, true);
+        });
+    });
+}
+
+/**
+ * Client listener of Document.Form: submits the form with fetch and swaps the region "into" with the returned HTML,
+ * the scripts of the HTML are run (ex: the listener setup script of renderFragment)
+ *
+ * The variables "into" (CSS selector, the form itself when null) and "swap" ("outerHTML" or "innerHTML")
+ * are bound with bindListener. A "formerror" event is dispatched on the form when the request fails. A form
+ * submitted to another browsing context (target or formtarget attribute, ex: "_blank") is submitted normally.
+ * @param {SubmitEvent} event
+ * @return {Promise<void>}
+ */
+async function submitForm(event) {
+    const form = event.currentTarget;
+    const submitter = event.submitter;
+
+    if ((submitter?.getAttribute("formtarget") ?? form.getAttribute("target") ?? "_self") !== "_self")
+        return;
+
+    event.preventDefault();
+
+    const method = (submitter?.getAttribute("formmethod") ?? form.getAttribute("method") ?? "get").toUpperCase();
+    const url = new URL(submitter?.getAttribute("formaction") ?? form.getAttribute("action") ?? "", location.href);
+    const data = new FormData(form, submitter);
+
+    let body;
+    if (method === "GET")
+        url.search = new URLSearchParams(data).toString();
+    else
+        body = form.enctype === "multipart/form-data" ? data : new URLSearchParams(data);
+
+    form.setAttribute("aria-busy", "true");
+
+    try {
+        const response = await fetch(url, {method, body, headers: {"Accept": "text/html", "X-Dynamic-Markup": "form"}});
+        if (!response.ok)
+            throw new Error(`${response.status} ${response.statusText}`);
+
+        const html = await response.text();
+
+        // a full page (ex: redirection after the submit) is loaded instead of being swapped
+        if (/<html[\s>]/i.test(html))
+            return location.assign(response.url);
+
+        const template = document.createElement("template");
+        template.innerHTML = html;
+
+        // scripts inserted as HTML don't run, they are recreated
+        template.content.querySelectorAll("script").forEach(script => {
+            const copy = document.createElement("script");
+            [...script.attributes].forEach(attribute => copy.setAttribute(attribute.name, attribute.value));
+            if (script.nonce)
+                copy.nonce = script.nonce;
+            copy.textContent = script.textContent;
+            script.replaceWith(copy);
+        });
+
+        const region = into ? document.querySelector(into) : form;
+
+        if (swap === "innerHTML")
+            region.replaceChildren(template.content);
+        else
+            region.replaceWith(template.content);
+    }
+    catch (error) {
+        form.dispatchEvent(new CustomEvent("formerror", {bubbles: true, detail: {error}}));
+    }
+    finally {
+        form.removeAttribute("aria-busy");
+    }
+}
+
+/**
+ * Compute the SHA-256 digest of a content
+ * @param {string} content
+ * @param {"base64"|"hex"} encoding
+ * @return {Promise<string>}
+ */
+async function sha256(content, encoding) {
+    const bytes = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(content)));
+
+    if (encoding === "hex")
+        return [...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("");
+
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Create the Content Security Policy allowing the inline scripts and styles of a render (by nonce and SHA-256 hashes)
+ * @param {{script: string[], style: string[]}} inlineContents contents of the inline scripts and styles of the render
+ * @param {string|null} nonce
+ * @param {{scriptSrc?: string[], styleSrc?: string[]}} sources other sources to allow
+ * @return {Promise<string>}
+ */
+async function contentSecurityPolicy(inlineContents, nonce, sources = {}) {
+
+    const directive = async (name, otherSources, contents) => {
+        const hashes = await Promise.all([...new Set(contents)].map(async content => `'sha256-${await sha256(content, "base64")}'`));
+        return [name, ...otherSources, ...(nonce ? [`'nonce-${nonce}'`] : []), ...hashes].join(" ");
+    };
+
+    return [
+        await directive("script-src", sources.scriptSrc ?? [], inlineContents.script),
+        await directive("style-src", sources.styleSrc ?? [], inlineContents.style)
+    ].join("; ");
+}
+
+/**
+ * Head components, collected while rendering instead of being written (see Document.Title, Meta, Link and Head)
+ * @return {null}
+ */
+function Title() {
+    return null;
+}
+
+function Meta() {
+    return null;
+}
+
+function Link() {
+    return null;
+}
+
+function Head() {
+    return null;
+}
+
+/**
+ * Check if a value is an element (React element or element of the JSX runtime)
+ * @param {*} value
+ * @return {boolean}
+ */
+function isValidElement(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value) && !(value instanceof RawHtml)
+        && "type" in value && "props" in value;
+}
+
+/**
+ * Walk the children as React.Children does: arrays and iterables are flattened, the other values (elements,
+ * strings, numbers and empty nodes) are visited with their key
+ * @param {*} children
+ * @param {(child:*, key:string) => void} visit
+ * @param {string} prefix
+ */
+function walkChildren(children, visit, prefix = "") {
+
+    const isList = Array.isArray(children) || (typeof children === "object" && children !== null
+        && !isValidElement(children) && typeof children[Symbol.iterator] === "function");
+
+    if (!isList)
+        return visit(children, prefix || ".0");
+
+    [...children].forEach((child, index) => {
+        const key = isValidElement(child) && child.key !== null && child.key !== undefined ? `$${child.key}` : String(index);
+        walkChildren(child, visit, prefix ? `${prefix}:${key}` : `.${key}`);
+    });
+}
+
+/**
+ * Utilities to read and transform the children of a component, same as React.Children (see Document.Children)
+ */
+const Children = Object.freeze({
+    map(children, callback) {
+        if (children === null || children === undefined)
+            return children;
+
+        const result = [];
+        let index = 0;
+        walkChildren(children, (child, key) => {
+            walkChildren(callback(child, index++), (node, mappedKey) => {
+                if (node === null || node === undefined || typeof node === "boolean")
+                    return;
+
+                // elements get the key of the child they are mapped from
+                if (isValidElement(node))
+                    node = {...node, key: mappedKey === ".0" ? key : `${key}/${mappedKey}`};
+                result.push(node);
+            });
+        });
+
+        return result;
+    },
+    forEach(children, callback) {
+        let index = 0;
+        walkChildren(children, child => callback(child, index++));
+    },
+    count(children) {
+        let count = 0;
+        if (children !== null && children !== undefined)
+            walkChildren(children, () => count++);
+        return count;
+    },
+    toArray(children) {
+        const result = [];
+        walkChildren(children, (child, key) => {
+            if (child !== null && child !== undefined && typeof child !== "boolean")
+                result.push(isValidElement(child) ? {...child, key} : child);
+        });
+        return result;
+    },
+    only(children) {
+        if (!isValidElement(children))
+            throw new Error("Children.only expected to receive a single element child");
+        return children;
+    }
+});
+
+/**
+ * Copy an element with new props and children, same as React.cloneElement (see Document.cloneElement)
+ * @param {Object} element
+ * @param {Object?} props the key is taken from the props
+ * @param {...*} children
+ * @return {Object}
+ */
+function cloneElement(element, props = {}, ...children) {
+
+    if (!isValidElement(element))
+        throw new Error(`cloneElement expected an element, found: ${element === null ? "null" : typeof element}`);
+
+    const {key, ...rest} = props ?? {};
+    const clone = {...element, props: {...element.props, ...rest}};
+
+    if (key !== undefined)
+        clone.key = key === null ? null : String(key);
+
+    if (children.length > 0)
+        clone.props.children = children.length === 1 ? children[0] : children;
+
+    return clone;
+}
+
+/**
+ * Create an element, same as React.createElement (see Document.createElement)
+ * @param {string|Function|symbol|Object} type
+ * @param {Object?} config props of the element, the key is taken from them
+ * @param {...*} children
+ * @return {{type: *, props: Object, key: string|null}}
+ */
+function createElement(type, config, ...children) {
+
+    // __self and __source are added by the development transforms of Babel
+    const {key, __self, __source, ...props} = config ?? {};
+
+    if (children.length > 0)
+        props.children = children.length === 1 ? children[0] : children;
+
+    return {type, props, key: key === undefined || key === null ? null : String(key)};
+}
+
+/**
+ * Island marker, its component is rendered on the server and hydrated on the client (see Document.Island)
+ * @return {null}
+ */
+function Island() {
+    return null;
+}
+
+/**
+ * Signal declaration, its initial value is sent to the client store (see Document.Signal)
+ * @return {null}
+ */
+function Signal() {
+    return null;
+}
+
+/**
+ * Error boundary marker, its fallback is rendered when its children throw (see Document.ErrorBoundary)
+ * @return {null}
+ */
+function ErrorBoundary() {
+    return null;
+}
+
+/**
+ * Component stacks of the errors thrown while rendering, from the component which threw to the root
+ */
+const componentStacks = new WeakMap();
+
+/**
+ * Get the name of an element type for the component stack
+ * @param {*} type
+ * @return {string|null}
+ */
+function typeName(type) {
+
+    if (typeof type === "string")
+        return type;
+    if (typeof type === "function")
+        return type.displayName || type.name || "Anonymous";
+    if (typeof type === "object" && type !== null)
+        return type.displayName || typeName(type.type ?? type.render) || null;
+
+    return null;
+}
+
+/**
+ * Get the component stack of an error, the same way React formats it
+ *
+ * Ex: "\n    at Price\n    at div\n    at Product"
+ * @param {*} error
+ * @return {string}
+ */
+function componentStack(error) {
+    return error !== null && typeof error === "object" ? componentStacks.get(error) ?? "" : "";
+}
+
+/**
+ * Render the development overlay listing the errors of a render (see setDevMode), it is closed without JavaScript
+ * @param {{error: *, componentStack: string}[]} errors
+ * @return {string}
+ */
+function renderErrorOverlay(errors) {
+
+    const details = errors.map(({error, componentStack}) => `
+        <h2 style="color:#ff5555;margin:1rem 0 .5rem">${escapeHtml(error instanceof Error ? `${error.name}: ${error.message}` : String(error))}</h2>
+        <pre style="white-space:pre-wrap;margin:0 0 .5rem">${escapeHtml(componentStack.trim() ? `Component stack:${componentStack}` : "")}</pre>
+        <pre style="white-space:pre-wrap;margin:0;color:#aaa">${escapeHtml(error instanceof Error ? error.stack ?? "" : "")}</pre>`).join("");
+
+    return `<dialog open data-error-overlay style="position:fixed;inset:0;z-index:2147483647;width:auto;height:auto;max-width:none;max-height:none;margin:0;padding:2rem;border:0;overflow:auto;box-sizing:border-box;background:rgba(20,20,20,.95);color:#eee;font:14px/1.5 monospace">
+        <form method="dialog" style="float:right"><button>Close</button></form>
+        <strong>${errors.length} error${errors.length > 1 ? "s" : ""} while rendering</strong>${details}
+    </dialog>`;
+}
+
+/**
+ * Cache marker, the HTML of its children is rendered once and taken from the cache store (see Document.Cache)
+ * @return {null}
+ */
+function Cache() {
+    return null;
+}
+
+/**
+ * Wrap a component in a Cache element, the key is computed from the props (see Document.cacheable)
+ * @param {Function} component
+ * @param {(props:Object) => string} key
+ * @param {{ttl?: number, tags?: string[]|((props:Object) => string[])}} options
+ * @return {Function}
+ */
+function cacheable(component, key, {ttl, tags = []} = {}) {
+
+    const Cached = props => ({
+        type: Cache,
+        props: {ttl, tags: typeof tags === "function" ? tags(props) : tags, children: {type: component, props, key: null}},
+        key: String(key(props))
+    });
+    Cached.displayName = `Cacheable(${typeName(component)})`;
+
+    return Cached;
+}
+
+/**
+ * Create an in-memory cache store, the least recently used entry is removed when there are more than maxEntries
+ *
+ * A store has 3 methods, which may be async: get(key) returns the entry (undefined when missing or expired),
+ * set(key, entry, {ttl, tags}) keeps an entry and invalidate(tags) removes the entries having one of the tags
+ * @param {{maxEntries?: number}} options
+ * @return {{get: (key:string) => Object|undefined, set: (key:string, entry:Object, options:{ttl?: number, tags?: string[]}) => void, invalidate: (tags:string[]) => void}}
+ */
+function createMemoryCacheStore({maxEntries = 1000} = {}) {
+
+    if (!Number.isInteger(maxEntries) || maxEntries < 1)
+        throw new Error(`Invalid maxEntries: ${maxEntries}, expected an integer greater than 0`);
+
+    // a Map keeps the insertion order, the entries read are moved to the end
+    const items = new Map();
+
+    return {
+        get(key) {
+            const item = items.get(key);
+            if (!item)
+                return undefined;
+
+            items.delete(key);
+            if (item.expires <= Date.now())
+                return undefined;
+
+            items.set(key, item);
+            return item.entry;
+        },
+        set(key, entry, {ttl = Infinity, tags = []} = {}) {
+            items.delete(key);
+            items.set(key, {entry, expires: Date.now() + ttl, tags});
+
+            if (items.size > maxEntries)
+                items.delete(items.keys().next().value);
+        },
+        invalidate(tags) {
+            for (const [key, item] of items)
+                if (item.tags.some(tag => tags.includes(tag)))
+                    items.delete(key);
+        }
+    };
+}
+
+/**
+ * Get a value which depends on the render, or its placeholder while a cached subtree is rendered
+ *
+ * The identifiers, the ids of useId and the nonce are placeholders in the cached HTML, they are replaced each time
+ * the entry is written (see #writeCacheEntry)
+ * @param {{cacheMarker: string|null}} render render state
+ * @param {string|number} value "p" for the identifier prefix, "n" for the nonce attribute, "" for the prefix of the
+ * ids, a number for an identifier
+ * @param {string|number} resolved
+ * @return {string|number}
+ */
+function placeholder(render, value, resolved) {
+    return render.cacheMarker ? `${render.cacheMarker}${value}${render.cacheMarker}` : resolved;
+}
+
+const FORM_SWAPS = new Set(["outerHTML", "innerHTML"]);
+
+/**
+ * Form submitted with fetch when JavaScript is available, the region "into" is swapped with the returned HTML
+ * (see Document.Form)
+ * @param {{into?: string, swap?: "outerHTML"|"innerHTML", children?: *}} props
+ * @return {{type: string, props: Object}}
+ */
+function Form({into = null, swap = "outerHTML", ...props}) {
+
+    if (!FORM_SWAPS.has(swap))
+        throw new Error(`Invalid swap for Form: ${swap}, expected one of: ${[...FORM_SWAPS].join(", ")}`);
+
+    return {type: "form", props: {...props, onSubmit: wrapListener(submitForm, {values: {into, swap}})}};
+}
+
+/**
+ * Tags which can be added to the head with the Head component
+ */
+const HEAD_TAGS = new Set(["title", "base", "meta", "link", "style", "script"]);
+
+/**
+ * Default priorities of the head entries, the entries are written from the lowest priority to the highest
+ * and in the order they were added for the same priority
+ */
+const HEAD_PRIORITIES = Object.freeze({
+    charset: 10,
+    viewport: 20,
+    base: 30,
+    title: 40,
+    meta: 50,
+    preload: 60,
+    link: 70,
+    style: 80,
+    script: 90
+});
+
+const PRELOAD_RELS = new Set(["preload", "modulepreload", "preconnect", "dns-prefetch"]);
+
+/**
+ * Get the key identifying a head tag, tags having the same key are deduplicated (the last one wins)
+ *
+ * Ex: headTagKey({type: "meta", props: {property: "og:title", content: "Hello"}})
+ *
+ * Result: meta:property:og:title
+ * @param {{type: string, props: Object}} tag
+ * @return {string|null}
+ */
+function headTagKey({type, props}) {
+
+    if (type === "meta") {
+        if (props.charSet !== undefined || props.charset !== undefined)
+            return "meta:charset";
+
+        for (const attribute of ["name", "property", "httpEquiv", "itemProp"])
+            if (props[attribute] !== undefined)
+                return `meta:${attribute}:${props[attribute]}`;
+    }
+
+    if (type === "link" && props.rel !== undefined)
+        return `link:${props.rel}:${props.href ?? ""}`;
+
+    if (type === "base")
+        return "base";
+
+    return null;
+}
+
+/**
+ * Get the priority of a head tag, from its "priority" prop or from its type (see HEAD_PRIORITIES)
+ *
+ * Ex: headTagPriority({type: "link", props: {rel: "preload", href: "font.woff2", as: "font"}})
+ *
+ * Result: 60
+ * @param {{type: string, props: Object}} tag
+ * @return {number}
+ */
+function headTagPriority({type, props}) {
+
+    if (typeof props.priority === "number")
+        return props.priority;
+
+    if (type === "meta") {
+        if (props.charSet !== undefined || props.charset !== undefined)
+            return HEAD_PRIORITIES.charset;
+
+        return props.name === "viewport" ? HEAD_PRIORITIES.viewport : HEAD_PRIORITIES.meta;
+    }
+
+    if (type === "link")
+        return PRELOAD_RELS.has(String(props.rel).toLowerCase()) ? HEAD_PRIORITIES.preload : HEAD_PRIORITIES.link;
+
+    return HEAD_PRIORITIES[type] ?? HEAD_PRIORITIES.script;
+}
+
+/**
+ * Deduplicate head tags by key, keeping the position of the first tag and the props of the last one
+ * @param {{type: string, props: Object}[]} tags
+ * @return {{type: string, props: Object}[]}
+ */
+function deduplicateHeadTags(tags) {
+
+    const result = [];
+    const positions = new Map();
+
+    tags.forEach(tag => {
+        const key = headTagKey(tag);
+
+        if (key !== null && positions.has(key))
+            result[positions.get(key)] = tag;
+        else {
+            if (key !== null)
+                positions.set(key, result.length);
+            result.push(tag);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Get the text of children made of strings and numbers (ex: <title>{name} - Shop</title>)
+ * @param {*} children
+ * @return {string}
+ */
+function textContent(children) {
+
+    if (Array.isArray(children))
+        return children.map(textContent).join("");
+    if (typeof children === "string" || typeof children === "number" || typeof children === "bigint")
+        return String(children);
+
+    return "";
+}
+
+/**
+ * Create the state of a render, so a document can be rendered many times (even concurrently)
+ *
+ * identifier is the auto-increment id for data-identifier, ids the ids of useId at the root (see #renderSiblings),
+ * listeners are the listeners collected while rendering, head the title and tags added by head components,
+ * inlineContents the contents of the inline scripts and styles (for CSP hashes)
+ * @return {{identifier: number, ids: {prefix: string, next: number}, listeners: Object[], head: {title: string|null, tags: Object[]}, inlineContents: {script: string[], style: string[]}, listenerScript: Object|null}}
+ */
+function createRenderState() {
+    return {
+        identifier: 0,
+        ids: {prefix: "", next: 0},
+        listeners: [],
+        head: {title: null, tags: []},
+        signals: null, // initial values of the signals, set when the client store is used
+        errors: [], // errors reported while rendering, for the development overlay
+        cacheMarker: null, // marker of the placeholders while a cached subtree is rendered (see placeholder)
+        inlineContents: {script: [], style: []},
+        listenerScript: null
+    };
+}
+
+/**
+ * Get the HTML of a chunk written to an output
+ *
+ * A chunk is a string or a function called when the chunk is written in the final output. Siblings are rendered
+ * concurrently, so what depends on the order of the elements (identifiers, listeners, head tags...) is done
+ * in function chunks, called in the order of the elements.
+ * @param {string|(() => string)} chunk
+ * @return {string}
+ */
+function chunkHtml(chunk) {
+    return typeof chunk === "function" ? chunk() : chunk;
+}
+
+/**
+ * Create an output collecting the rendered HTML in a string
+ * @return {{html: string, write: (chunk:string|(() => string)) => void}}
+ */
+function createStringOutput() {
+    return {
+        html: "",
+        write(chunk) {
+            this.html += chunkHtml(chunk);
+        }
+    };
+}
+
+/**
+ * Create an output keeping the chunks, so they can be written later to another output or discarded
+ * @return {{write: (chunk:string|(() => string)) => void, replay: (output:Object) => Promise<void>, html: () => string}}
+ */
+function createBufferOutput() {
+    const chunks = [];
+
+    return {
+        write(chunk) {
+            chunks.push(chunk);
+        },
+        async replay(output) {
+            for (const chunk of chunks)
+                await output.write(chunk);
+        },
+        html() {
+            return chunks.map(chunkHtml).join("");
+        }
+    };
+}
+
+/**
+ * Create the outputs of siblings rendered concurrently, the HTML is written in the order of the siblings
+ *
+ * The first sibling which is not done writes to the output, the next ones are buffered until the previous
+ * siblings are done.
+ * @param {{write: (chunk:string|(() => string)) => void|Promise<void>}} output
+ * @param {number} count
+ * @return {{outputs: {write: Function, end: () => void}[], flushed: () => Promise<void>}}
+ */
+function createSiblingOutputs(output, count) {
+    const siblings = Array.from({length: count}, () => ({chunks: [], done: false}));
+    let current = 0;
+    let live = true; // the current sibling writes to the output, its buffered chunks are written
+    let flushing = Promise.resolve();
+
+    const flush = async () => {
+        while (current < count) {
+            const sibling = siblings[current];
+
+            while (sibling.chunks.length > 0)
+                await output.write(sibling.chunks.shift());
+
+            if (!sibling.done) {
+                live = true;
+                return;
+            }
+            current++;
+        }
+    };
+
+    return {
+        outputs: siblings.map((sibling, index) => ({
+            write(chunk) {
+                if (index === current && live)
+                    return output.write(chunk);
+
+                sibling.chunks.push(chunk);
+            },
+            end() {
+                sibling.done = true;
+
+                if (index === current && live) {
+                    live = false;
+                    current++;
+                    flushing = flushing.then(flush);
+                }
+            }
+        })),
+        flushed: () => flushing
+    };
+}
+
+/**
+ * Create a limiter of the tasks running at the same time, the waiting tasks get a slot in the order they asked for it
+ * @param {number} limit
+ * @return {{acquire: () => Promise<void>, release: () => void}}
+ */
+function createLimiter(limit) {
+    let running = 0;
+    const waiting = [];
+
+    return {
+        async acquire() {
+            if (running < limit)
+                running++;
+            else
+                await new Promise(resolve => waiting.push(resolve));
+        },
+        release() {
+            // the slot is handed over to the next task
+            if (waiting.length > 0)
+                waiting.shift()();
+            else
+                running--;
+        }
+    };
+}
+
+/**
+ * Run tasks each holding a slot of the limiter, all the started tasks are settled before rejecting with the error of
+ * the first task which failed (in the order of the tasks), the tasks not started yet are skipped
+ * @param {(() => Promise<void>)[]} tasks
+ * @param {{acquire: () => Promise<void>, release: () => void}} limiter
+ * @return {Promise<void>}
+ */
+async function runConcurrently(tasks, limiter) {
+    const errors = new Map();
+
+    await Promise.all(tasks.map(async (task, index) => {
+        await limiter.acquire();
+        try {
+            if (errors.size === 0)
+                await task();
+        }
+        catch (error) {
+            errors.set(index, error);
+        }
+        finally {
+            limiter.release();
+        }
+    }));
+
+    if (errors.size > 0)
+        throw errors.get(Math.min(...errors.keys()));
+}
+
+/**
+ * Create an output which buffers the rendered HTML and sends it whenever the render waits (ex: async component)
+ *
+ * Writing waits for the previous chunk to be sent (backpressure) and fails once the signal is aborted
+ * @param {(chunk:string) => void|Promise<void>} send
+ * @param {AbortSignal?} signal
+ * @return {{write: (chunk:string|(() => string)) => Promise<void>, flush: () => Promise<void>, discard: () => void}}
+ */
+function createStreamOutput(send, signal) {
+    let buffer = "";
+    let timer = null;
+    let sending = Promise.resolve();
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+
+        if (buffer) {
+            const chunk = buffer;
+            buffer = "";
+            sending = sending.then(() => send(chunk));
+            // a failure is thrown by the next write or flush, not by the timer
+            sending.catch(() => {});
+        }
+
+        return sending;
+    };
+
+    return {
+        write(chunk) {
+            signal?.throwIfAborted();
+
+            buffer += chunkHtml(chunk);
+            timer ??= setTimeout(flush, 0);
+
+            return sending;
+        },
+        flush,
+        discard() {
+            clearTimeout(timer);
+            buffer = "";
+        }
+    };
+}
+
+/**
+ * Render an attribute following react-dom rules (name mapping and boolean handling)
+ *
+ * Ex: renderAttribute("htmlFor", "email")
+ *
+ * Result: ` for="email"`
+ *
+ * Ex: renderAttribute("aria-hidden", false)
+ *
+ * Result: ` aria-hidden="false"`
+ *
+ * Ex: renderAttribute("title", true)
+ *
+ * Result: ``
+ *
+ * Ex: renderAttribute("onClick", "alert(1)")
+ *
+ * Result: ``
+ * @param {string} key
+ * @param {*} value
+ * @return {string}
+ */
+function renderAttribute(key, value) {
+
+    if (value === null || value === undefined || typeof value === "symbol" || typeof value === "function")
+        return "";
+
+    // same as react-dom, event handlers are never attributes (onClick="alert(1)" would be a script)
+    if (key.length > 2 && key.toLowerCase().startsWith("on"))
+        return "";
+
+    const name = ATTRIBUTE_NAMES[key] ?? key;
+
+    if (BOOLEAN_ATTRIBUTES.has(name))
+        return value ? ` ${name}` : "";
+
+    if (OVERLOADED_BOOLEAN_ATTRIBUTES.has(name) && typeof value === "boolean")
+        return value ? ` ${name}` : "";
+
+    if (typeof value === "boolean") {
+        if (BOOLEANISH_STRING_ATTRIBUTES.has(name) || name.startsWith("aria-") || name.startsWith("data-"))
+            return ` ${name}="${value}"`;
+
+        // same as react-dom, booleans are ignored on the other attributes (<div title> is not written)
+        return "";
+    }
+
+    return ` ${name}="${escapeHtml(value)}"`;
+}
+
+/**
+ * Render the attributes of a tag written by the document (html and body)
+ *
+ * Ex: renderAttributes({className: "dark", "data-theme": "dark", style: {colorScheme: "dark"}})
+ *
+ * Result: ` class="dark" data-theme="dark" style="color-scheme:dark"`
+ * @param {{[p:string]: *}} attributes
+ * @return {string}
+ */
+function renderAttributes(attributes) {
+    return Object.entries(attributes)
+        .map(([key, value]) => {
+
+            if (key.toLowerCase() === "style" && typeof value === "object" && value !== null) {
+                const style = renderStyle(value);
+                return style ? ` style="${escapeHtml(style)}"` : "";
+            }
+
+            return renderAttribute(key, value);
+        })
+        .join("");
+}
+
+/**
+ * Check the attributes set on the html or body tag
+ * @param {{[p:string]: *}} attributes
+ * @return {{[p:string]: *}}
+ */
+function checkAttributes(attributes) {
+
+    for (const key of Object.keys(attributes))
+        if (!VALID_ATTRIBUTE_NAME.test(key) || RESERVED_PROPS.has(key))
+            throw new Error(`Invalid attribute name: ${key}`);
+
+    return {...attributes};
+}
+
+/**
+ * Transform a React style object into a CSS declaration list, the same way react-dom does
+ *
+ * Ex: renderStyle({backgroundColor: "red", fontSize: 12, WebkitTransition: "none", "--gap": 4})
+ *
+ * Result: background-color:red;font-size:12px;-webkit-transition:none;--gap:4
+ * @param {{[p:string]: string|number|null|undefined|boolean}} style
+ * @return {string}
+ */
+function renderStyle(style) {
+    return Object.entries(style)
+        .filter(([, value]) => value !== null && value !== undefined && typeof value !== "boolean" && value !== "")
+        .map(([name, value]) => {
+
+            if (name.startsWith("--"))
+                return `${name}:${String(value).trim()}`;
+
+            const property = name.replace(/([A-Z])/g, "-$1").toLowerCase().replace(/^ms-/, "-ms-");
+
+            if (typeof value === "number" && value !== 0 && !UNITLESS_STYLES.has(name))
+                return `${property}:${value}px`;
+
+            return `${property}:${String(value).trim()}`;
+        })
+        .join(";");
+}
+
+/**
+ * Escape the content of a raw text element (script or style) so it can't close the element early
+ *
+ * Ex: escapeRawText("alert('</script><script>evil()</script>')", "script")
+ *
+ * Result: alert('<\/script><script>evil()<\/script>')
+ * @param {*} content
+ * @param {string} tag
+ * @return {string}
+ */
+function escapeRawText(content, tag) {
+    if (content instanceof RawHtml)
+        return content.html;
+
+    content = String(content).replace(new RegExp(`</(${tag})`, "gi"), "<\\/$1");
+
+    if (tag === "script")
+        content = content.replace(/<!--/g, "<\\!--");
+
+    return content;
+}
+
+
+
+module.exports = class Document {
+
+    #htmlAttributes = {lang: "en"};
+    #bodyAttributes = {};
+    #title = "Rendered as dynamic markup";
+    #base = null;
+    #metas = [];
+    #links = [];
+    #styles = [];
+    #headerScripts = [];
+    #bodyScripts = [];
+    #headNodes = [];
+    #noScript = "Your browser does not support JavaScript!";
+    #eventDelegation = false;
+    #nonce = null;
+    #listenerScriptSrc = null;
+    #identifierPrefix = "";
+    #islandModule = null;
+    #islandComponents = {};
+    #concurrency = 64; // siblings rendered at the same time in a render, more only adds memory for trees of sync components
+    #cacheStore = createMemoryCacheStore(); // shared by the copies of the document (see clone)
+    #errorHandlers = [];
+    #devMode = false;
+
+    #createComponent = async (component, props) => component(props);
+    #renderChildren = false; // children rendered as HTML for the createComponent callback (see setCreateComponentCallback)
+
+    /**
+     * Set the document title from a component, it replaces the title set with setTitle
+     *
+     * Ex: <Document.Title>{product.name} - Shop</Document.Title>
+     *
+     * Result: <title>Shoes - Shop</title>
+     *
+     * NOTE: head components are ignored when streaming (the head is sent first) and by renderFragment !
+     */
+    static Title = Title;
+
+    /**
+     * Add a meta tag from a component, it replaces the meta tag having the same name, property, httpEquiv, itemProp
+     * or charSet (the last one wins, so pages can override the layout)
+     *
+     * Ex: <Document.Meta name="description" content="Our shoes"/>
+     *
+     * Result: <meta name="description" content="Our shoes"/>
+     */
+    static Meta = Meta;
+
+    /**
+     * Add a link tag from a component, it replaces the link tag having the same rel and href
+     *
+     * Ex: <Document.Link rel="stylesheet" href="product.css"/>
+     *
+     * Result: <link rel="stylesheet" href="product.css"/>
+     */
+    static Link = Link;
+
+    /**
+     * Add title, base, meta, link, style and script tags to the head from a component (same rules as Title, Meta and Link)
+     *
+     * Ex: <Document.Head><title>Shop</title><meta name="description" content="Our shoes"/></Document.Head>
+     */
+    static Head = Head;
+
+    /**
+     * Utilities to read and transform the children of a component (map, forEach, count, toArray, only), same as
+     * React.Children, for React elements and elements of the JSX runtime
+     *
+     * Ex: const List = ({children}) => <ul>{Document.Children.map(children, child => <li>{child}</li>)}</ul>;
+     */
+    static Children = Children;
+
+    /**
+     * Copy an element with new props and children, same as React.cloneElement
+     *
+     * Ex: Document.cloneElement(<button>Ok</button>, {className: "primary"})
+     *
+     * Result: <button className="primary">Ok</button>
+     */
+    static cloneElement = cloneElement;
+
+    /**
+     * Check if a value is an element, same as React.isValidElement
+     *
+     * Ex: Document.isValidElement(<div/>)
+     *
+     * Result: true
+     */
+    static isValidElement = isValidElement;
+
+    /**
+     * Create an element, same as React.createElement, for the elements of the JSX runtime (the JSX compilers
+     * import createElement from the package for elements having a key after spread props)
+     *
+     * Ex: Document.createElement("button", {className: "primary"}, "Ok")
+     *
+     * Result: <button className="primary">Ok</button>
+     */
+    static createElement = createElement;
+
+    /**
+     * Form working without JavaScript (normal submit), and submitted with fetch when JavaScript is available:
+     * the element "into" (CSS selector, the form itself by default) is replaced with the returned HTML
+     *
+     * Ex: <Document.Form action="/comments" method="post" into="#comments" swap="innerHTML">...</Document.Form>
+     *
+     * Result: <form action="/comments" method="post" data-identifier="form_0" data-listeners="submit">...</form>
+     *
+     * The target attribute is the one of HTML: a form submitted to another browsing context (ex: target="_blank")
+     * is submitted normally.
+     *
+     * The request has a "X-Dynamic-Markup: form" header, the server can answer with renderFragment (its
+     * listener setup script is run). A "formerror" event is dispatched on the form when the request fails.
+     *
+     * NOTE: the onSubmit prop is replaced by the submit listener !
+     */
+    static Form = Form;
+
+    /**
+     * Render a component on the server and hydrate it on the client with React (the rest of the page stays as
+     * dynamic markup), the component is taken from the island module (see setIslandModule)
+     *
+     * Ex: <Document.Island component="Counter" props={{start: 5}}/>
+     *
+     * Result: <div data-island="island_0"><button>5</button></div><script>(window.__mountIsland ??= ...)("/islands.js", "island_0", "Counter", {start:5});</script>
+     *
+     * The props are serialized (no functions), the "as" prop sets the tag of the container (div by default).
+     * Listeners of the island are attached by React, not by the setup script.
+     */
+    static Island = Island;
+
+    /**
+     * Declare a signal of the client store with its initial value, the value is serialized in the setup script
+     *
+     * Listeners use the store as "store" and elements are bound to signals with data-bind-text and data-bind-attr,
+     * a name prefixed with ! is negated (null, undefined and false remove the attribute, except for aria and data
+     * attributes)
+     *
+     * Ex: <>
+     *   <Document.Signal name="open" value={false}/>
+     *   <button onClick={() => store.set("open", open => !open)}>Menu</button>
+     *   <nav data-bind-attr="hidden:!open" hidden>...</nav>
+     * </>
+     */
+    static Signal = Signal;
+
+    /**
+     * Render a fallback instead of the children when they throw, the error is reported to the onError handlers
+     *
+     * Ex: <Document.ErrorBoundary fallback={<p>Unable to load the prices</p>}><Prices/></Document.ErrorBoundary>
+     *
+     * Ex: <Document.ErrorBoundary fallback={(error, {componentStack}) => <p>{error.message}</p>}>...</Document.ErrorBoundary>
+     *
+     * NOTE: the children are rendered before being written (no streaming, suspense boundaries are rendered inline) !
+     */
+    static ErrorBoundary = ErrorBoundary;
+
+    /**
+     * Render the children once and take their HTML from the cache store on the next renders, with the listeners,
+     * head tags, signals and inline scripts they produced (the identifiers are renumbered so they stay unique)
+     *
+     * Ex: <Document.Cache key={`nav-${lang}`} ttl={60_000} tags={["nav"]}><Nav lang={lang}/></Document.Cache>
+     *
+     * The key identifies the HTML, it must include what the children depend on (props, contexts...). The ttl is in
+     * milliseconds (no expiration by default), the tags are used to invalidate entries (see invalidateCache).
+     *
+     * NOTE: the children are rendered before being written (no streaming, suspense boundaries are rendered inline),
+     * and they are not cached when an error boundary caught an error !
+     */
+    static Cache = Cache;
+
+    /**
+     * Wrap a component so it is rendered in a Cache element, the key (and the tags) are computed from the props
+     *
+     * Ex: const CachedFooter = Document.cacheable(Footer, ({lang}) => `footer-${lang}`, {ttl: 60_000, tags: ["footer"]});
+     */
+    static cacheable = cacheable;
+
+    /**
+     * Create the default cache store, kept in memory: the least recently used entry is removed when there are more
+     * than maxEntries entries (1000 by default)
+     *
+     * Ex: doc.setCacheStore(Document.createMemoryCacheStore({maxEntries: 100}))
+     */
+    static createMemoryCacheStore = createMemoryCacheStore;
+
+    /**
+     * Default priorities of the head entries (charset: 10, viewport: 20, base: 30, title: 40, meta: 50, preload: 60,
+     * link: 70, style: 80, script: 90), the entries are written from the lowest priority to the highest
+     *
+     * Ex: addStyle({priority: Document.HeadPriority.preload - 1}, ":root {--main-color: #26b72b;}")
+     */
+    static HeadPriority = HEAD_PRIORITIES;
+
+    /**
+     * The document reflect the DOM, with method to modify information such as lang title, metas, links, scripts...
+     *
+     * The method renderToDynamicMarkup creates the HTML string including setup script for listeners and doctype, html, head & body tags
+     */
+    constructor() {}
+
+    /**
+     * Create a copy of the document configuration (attributes, title, metas, links, styles, scripts, options...)
+     *
+     * A configured document can be shared and rendered concurrently, each render has its own identifiers and listeners.
+     * A copy is needed to change the configuration for one request (ex: title, nonce).
+     *
+     * Ex: const doc = layout.clone().setTitle("Products");
+     * @return {Document}
+     */
+    clone() {
+        const copy = new Document();
+
+        copy.#htmlAttributes = {...this.#htmlAttributes};
+        copy.#bodyAttributes = {...this.#bodyAttributes};
+        copy.#title = this.#title;
+        copy.#base = this.#base;
+        copy.#metas = [...this.#metas];
+        copy.#links = [...this.#links];
+        copy.#styles = [...this.#styles];
+        copy.#headerScripts = [...this.#headerScripts];
+        copy.#bodyScripts = [...this.#bodyScripts];
+        copy.#headNodes = [...this.#headNodes];
+        copy.#noScript = this.#noScript;
+        copy.#createComponent = this.#createComponent;
+        copy.#renderChildren = this.#renderChildren;
+        copy.#eventDelegation = this.#eventDelegation;
+        copy.#nonce = this.#nonce;
+        copy.#listenerScriptSrc = this.#listenerScriptSrc;
+        copy.#identifierPrefix = this.#identifierPrefix;
+        copy.#islandModule = this.#islandModule;
+        copy.#islandComponents = this.#islandComponents;
+        copy.#concurrency = this.#concurrency;
+        copy.#cacheStore = this.#cacheStore;
+        copy.#errorHandlers = [...this.#errorHandlers];
+        copy.#devMode = this.#devMode;
+
+        return copy;
+    }
+
+    /**
+     * Create a copy of the document configuration (see clone) and modify it
+     *
+     * Ex: const doc = layout.extend(doc => doc.setTitle("Products").addMeta({name: "description", content: "..."}));
+     * @param {(document:Document) => void} configure
+     * @return {Document}
+     */
+    extend(configure) {
+        const copy = this.clone();
+        configure(copy);
+        return copy;
+    }
+
+    /**
+     * Mark content as trusted so it is written without escaping
+     *
+     * Can be used as a child, as an attribute value, as title or as no script content
+     *
+     * Ex: <div>{Document.raw("<b>Hello</b>")}</div>
+     *
+     * Result: <div><b>Hello</b></div>
+     *
+     * WARNING: never use it with user data !
+     * @param {string} html
+     * @return {RawHtml}
+     */
+    static raw(html) {
+        return new RawHtml(html);
+    }
+
+    /**
+     * Bind server values to a listener, they are serialized and available as variables in the client listener
+     *
+     * Ex: <button onClick={Document.bindListener(() => alert(message), {message})}>Click me</button>
+     *
+     * Result: button_0.addEventListener("click", (() => {
+     * const message = "Hello from server";
+     * return () => alert(message);
+     * })());
+     *
+     * Supported values: JSON values, undefined, NaN, Infinity, BigInt, Date, RegExp, Map and Set
+     *
+     * The names must be valid variable names, reserved words (class, new, default...) are rejected
+     * @param {Function} listener
+     * @param {{[p:string]: *}} values
+     * @return {Function}
+     */
+    static bindListener(listener, values) {
+
+        Object.keys(values).forEach(name => {
+            if (!VALID_IDENTIFIER.test(name) || RESERVED_WORDS.has(name))
+                throw new Error(`Invalid variable name for bindListener: ${name}`);
+        });
+
+        return wrapListener(listener, {values});
+    }
+
+    /**
+     * Set the options (passive, once) of a listener
+     *
+     * Ex: <div onScroll={Document.listenerOptions(() => console.log("scroll"), {passive: true})}></div>
+     *
+     * Result: div_0.addEventListener("scroll", () => console.log("scroll"), {"passive":true});
+     *
+     * Note: for capture listeners, use the React "Capture" suffix (ex: onClickCapture). With event delegation,
+     * "passive" is ignored.
+     * @param {Function} listener
+     * @param {{passive?: boolean, once?: boolean}} options
+     * @return {Function}
+     */
+    static listenerOptions(listener, options) {
+        return wrapListener(listener, {options: {passive: options.passive, once: options.once}});
+    }
+
+
+
+    /**
+     * Transform a React element into a valid HTML string which includes a setup script for listeners (no client-side hydration)
+     *
+     * Ex: const html = await renderToDynamicMarkup(<Page/>);
+     *
+     * NOTE: doctype, html, head and body tags will be automatically wrapped and should not be part of the React element !
+     *
+     * The following methods can be used before calling renderToDynamicMarkup to modify the resulting html:
+     * <ul>
+     *   <li>setLang</li>
+     *   <li>setHtmlAttributes</li>
+     *   <li>setBodyAttributes</li>
+     *   <li>setTitle</li>
+     *   <li>setBase</li>
+     *   <li>addMeta</li>
+     *   <li>addLink</li>
+     *   <li>addStyle</li>
+     *   <li>addHeaderScript</li>
+     *   <li>addBodyScript</li>
+     *   <li>addHeadNode</li>
+     *   <li>setNoScript</li>
+     * </ul>
+     *
+     *
+     * To get the Content Security Policy or the external listener script of the render, use renderPage
+     *
+     * @param reactElement
+     * @return {Promise<string>}
+     */
+    async renderToDynamicMarkup(reactElement) {
+        return (await this.renderPage(reactElement)).html;
+    }
+
+    /**
+     * Same as renderToDynamicMarkup, with the details of the render: the Content Security Policy allowing its inline
+     * scripts and styles (by nonce and SHA-256 hashes) and its external listener script (see setListenerScriptSrc)
+     *
+     * A document can be shared by concurrent requests, each render has its own details.
+     *
+     * Ex: const {html, getContentSecurityPolicy, listenerScript} = await doc.renderPage(<Page/>);
+     *
+     * Result: await getContentSecurityPolicy({scriptSrc: ["'self'"]}) is "script-src 'self' 'nonce-...' 'sha256-...'; style-src 'nonce-...' 'sha256-...'"
+     *
+     * Note: style attributes are not allowed by hashes, they need 'unsafe-inline' (or 'unsafe-hashes') in style-src
+     * @param reactElement
+     * @return {Promise<{html: string, getContentSecurityPolicy: (sources?:{scriptSrc?: string[], styleSrc?: string[]}) => Promise<string>, listenerScript: {hash: string, src: string, content: string}|null}>}
+     */
+    async renderPage(reactElement) {
+
+        const nonce = this.#nonce;
+        const render = createRenderState();
+        const scope = {render, listeners: render.listeners, limiter: createLimiter(this.#concurrency)};
+
+        let content;
+        try {
+            content = await this.#renderToString(reactElement, scope);
+        }
+        catch (error) {
+            this.#reportError(error, render);
+
+            // in development mode, the page is rendered with the error overlay instead
+            if (!this.#devMode)
+                throw error;
+
+            content = "";
+            render.listeners.length = 0;
+        }
+
+        const html = `${await this.#renderShellStart(scope)}${content}${await this.#renderShellEnd(scope)}`;
+
+        return {
+            html,
+            getContentSecurityPolicy: sources => contentSecurityPolicy(render.inlineContents, nonce, sources),
+            listenerScript: render.listenerScript
+        };
+    }
+
+    /**
+     * Transform a React element into HTML without doctype, html, head and body tags, with the setup script of its
+     * listeners (ex: partial page updates with htmx)
+     *
+     * The script runs right away (not on DOMContentLoaded) and selects the elements in the parent of the script tag,
+     * the snippet is the HTML followed by the script tag.
+     *
+     * Ex: const {html, script, snippet, getContentSecurityPolicy} = await doc.renderFragment(<Row/>);
+     *
+     * Result: {
+     *   html: '<tr data-identifier="row-tr_0" data-listeners="click">...</tr>',
+     *   script: '(function(root) {...})(document.currentScript?.parentNode ?? document);',
+     *   snippet: '<tr data-identifier="row-tr_0" data-listeners="click">...</tr><script>(function(root) {...</script>'
+     * }
+     *
+     * NOTE: use setIdentifierPrefix so the identifiers don't clash with the ones already in the page !
+     *
+     * getContentSecurityPolicy gives the Content Security Policy allowing the inline scripts and styles of the
+     * fragment (see renderPage).
+     *
+     * @param reactElement
+     * @return {Promise<{html: string, script: string, snippet: string, getContentSecurityPolicy: (sources?:{scriptSrc?: string[], styleSrc?: string[]}) => Promise<string>}>}
+     */
+    async renderFragment(reactElement) {
+
+        const nonce = this.#nonce;
+        const render = createRenderState();
+        const html = await this.#renderToString(reactElement, {render, listeners: render.listeners, limiter: createLimiter(this.#concurrency)}).catch(error => {
+            this.#reportError(error, render);
+            throw error;
+        });
+
+        const getContentSecurityPolicy = sources => contentSecurityPolicy(render.inlineContents, nonce, sources);
+
+        if (render.listeners.length === 0 && !render.signals)
+            return {html, script: "", snippet: html, getContentSecurityPolicy};
+
+        const script = `(function(root) {\n${this.#listenerSetup(render.listeners, "root", render.signals)}\n})(document.currentScript?.parentNode ?? document);`;
+
+        return {html, script, snippet: html + this.#renderInlineScript(escapeRawText(script, "script"), render), getContentSecurityPolicy};
+    }
+
+    /**
+     * Same as renderToDynamicMarkup, but the HTML is streamed
+     *
+     * The doctype and head are sent right away, then the body is sent as soon as it is rendered (ex: when an async
+     * component is waiting) and the stream ends with the body scripts and the listener setup script.
+     *
+     * Ex: return new Response(doc.renderToDynamicMarkupStream(<Page/>), {headers: {"Content-Type": "text/html"}});
+     *
+     * NOTE: the head is sent before rendering the body, modifications of the document made by components
+     * (setTitle, addMeta...) are ignored !
+     *
+     * The render waits for the chunks to be read (backpressure) and is aborted when the stream is cancelled
+     *
+     * @param reactElement
+     * @param {{signal?: AbortSignal, onError?: (error:Error) => void, suspenseTimeout?: number}} options
+     * @return {ReadableStream<Uint8Array>}
+     */
+    renderToDynamicMarkupStream(reactElement, options = {}) {
+
+        const encoder = new TextEncoder();
+        const controller = new AbortController();
+        const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+        // resolves the chunk waiting for the queue of the stream to be read
+        let pulled = null;
+
+        const send = (stream, chunk) => {
+            stream.enqueue(encoder.encode(chunk));
+            if (stream.desiredSize <= 0)
+                return new Promise(resolve => pulled = resolve);
+        };
+
+        return new ReadableStream({
+            start: stream => {
+                this.#stream(reactElement, chunk => send(stream, chunk), {...options, signal})
+                    .then(() => stream.close(), error => {
+                        options.onError?.(error);
+                        stream.error(error);
+                    });
+            },
+            pull: () => {
+                pulled?.();
+                pulled = null;
+            },
+            cancel: reason => {
+                controller.abort(reason);
+                pulled?.();
+            }
+        });
+    }
+
+    /**
+     * Same as renderToDynamicMarkup, but the HTML is streamed to a Node.js writable (ex: express response)
+     *
+     * The doctype and head are sent right away, then the body is sent as soon as it is rendered (ex: when an async
+     * component is waiting) and the writable ends with the body scripts and the listener setup script.
+     *
+     * Ex: await doc.pipeToNodeWritable(<Page/>, response);
+     *
+     * NOTE: the head is sent before rendering the body, modifications of the document made by components
+     * (setTitle, addMeta...) are ignored !
+     *
+     * If the render fails, the writable is destroyed and the promise is rejected. The render is aborted when the
+     * writable is closed or fails before the end (ex: the client disconnected)
+     *
+     * @param reactElement
+     * @param {import("node:stream").Writable} writable
+     * @param {{signal?: AbortSignal, onError?: (error:Error) => void, suspenseTimeout?: number}} options
+     * @return {Promise<void>}
+     */
+    async pipeToNodeWritable(reactElement, writable, options = {}) {
+
+        const controller = new AbortController();
+        const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+        const abort = error => controller.abort(error ?? new Error("The writable was closed before the end of the render"));
+        writable.once("close", abort);
+        writable.once("error", abort);
+
+        const send = chunk => {
+            signal.throwIfAborted();
+            if (writable.write(chunk))
+                return;
+
+            return new Promise((resolve, reject) => {
+                const settle = () => {
+                    writable.off("drain", settle);
+                    signal.removeEventListener("abort", settle);
+                    signal.aborted ? reject(signal.reason) : resolve();
+                };
+                writable.once("drain", settle);
+                signal.addEventListener("abort", settle, {once: true});
+            });
+        };
+
+        try {
+            await this.#stream(reactElement, send, {...options, signal});
+            writable.end();
+        }
+        catch (error) {
+            options.onError?.(error);
+            writable.destroy(error);
+            throw error;
+        }
+        finally {
+            writable.off("close", abort);
+            writable.off("error", abort);
+        }
+    }
+
+    /**
+     * Render the whole document, sending the HTML as soon as it is available
+     *
+     * Suspense boundaries which take more than options.suspenseTimeout to render are sent with their fallback,
+     * their content is sent after the rest of the body, as soon as it is rendered.
+     * @param reactElement
+     * @param {(chunk:string) => void|Promise<void>} send
+     * @param {{signal?: AbortSignal, onError?: (error:Error) => void, suspenseTimeout?: number}} options
+     * @return {Promise<void>}
+     */
+    async #stream(reactElement, send, options) {
+
+        const output = createStreamOutput(send, options.signal);
+        const render = createRenderState();
+        const suspense = {timeout: options.suspenseTimeout ?? 0, onError: options.onError, boundaries: [], nextId: 0};
+        const scope = {render, listeners: render.listeners, limiter: createLimiter(this.#concurrency), suspense};
+
+        try {
+            await output.write(await this.#renderShellStart(scope));
+            await output.flush();
+
+            await this.#render(reactElement, scope, output);
+            await this.#renderSuspenseSegments(suspense, render, output);
+
+            await output.write(await this.#renderShellEnd(scope, true));
+            await output.flush();
+
+        }
+        catch (error) {
+            output.discard();
+            this.#reportError(error, render);
+            throw error;
+        }
+    }
+
+    /**
+     * Render the tags added to the head or body (metas, links, styles, scripts, raw nodes)
+     * @param {*[]} tags
+     * @param {{render: Object}} scope
+     * @return {Promise<string>}
+     */
+    async #renderTags(tags, scope) {
+        return (await Promise.all(tags.map(tag => this.#renderToString(tag, scope)))).join("\n");
+    }
+
+    /**
+     * Render the document until the body content (doctype, html, head and body tags)
+     * @param {{render: Object}} scope
+     * @return {Promise<string>}
+     */
+    async #renderShellStart(scope) {
+
+        const head = scope.render.head;
+
+        const tags = deduplicateHeadTags([
+            ...(this.#base ? [this.#base] : []),
+            ...this.#metas,
+            ...this.#links,
+            ...this.#styles,
+            ...this.#headerScripts,
+            ...head.tags
+        ]);
+
+        // the sort is stable, entries having the same priority keep their order
+        const entries = [
+            {priority: HEAD_PRIORITIES.title, node: {type: "title", props: {children: head.title ?? this.#title}}},
+            ...tags.map(tag => {
+                const {priority, ...props} = tag.props;
+                return {priority: headTagPriority(tag), node: {type: tag.type, props}};
+            }),
+            ...this.#headNodes
+        ].sort((a, b) => a.priority - b.priority);
+
+        return `
+            <!DOCTYPE html>
+            <html${renderAttributes(this.#htmlAttributes)}>
+                <head>
+                    ${await this.#renderTags(entries.map(entry => entry.node), scope)}
+                </head>
+                <body${renderAttributes(this.#bodyAttributes)}>
+                    `;
+    }
+
+    /**
+     * Render the document after the body content (body scripts, listener setup script and closing tags)
+     * @param {{render: Object}} scope
+     * @param {boolean} streaming the listener setup script is inline, a stream can't give the content of an external one
+     * @return {Promise<string>}
+     */
+    async #renderShellEnd(scope, streaming = false) {
+        return `
+                    ${this.#devMode && scope.render.errors.length > 0 ? renderErrorOverlay(scope.render.errors) : ""}
+                    ${await this.#renderTags(this.#bodyScripts, scope)}
+                    ${await this.#renderListenerScript(scope.render, streaming)}
+                    <noscript>${escapeHtml(this.#noScript)}</noscript>
+                </body>
+            </html>
+        `;
+    }
+
+    /**
+     * Render the listener setup script, inline or as an external script (see setListenerScriptSrc)
+     * @param {Object} render render state
+     * @param {boolean} inline inline even with setListenerScriptSrc
+     * @return {Promise<string>}
+     */
+    async #renderListenerScript(render, inline = false) {
+
+        if (!this.#listenerScriptSrc || inline)
+            return this.#renderInlineScript(`
+document.addEventListener('DOMContentLoaded', function() {
+${escapeRawText(this.#listenerSetup(render.listeners, "document", render.signals), "script")}
+});
+                    `, render);
+
+        const content = `document.addEventListener('DOMContentLoaded', function() {\n${this.#listenerSetup(render.listeners, "document", render.signals)}\n});\n`;
+        const hash = (await sha256(content, "hex")).substring(0, 16);
+        const src = this.#listenerScriptSrc(hash);
+
+        render.listenerScript = {hash, src, content};
+
+        return `<script src="${escapeHtml(src)}"${this.#nonceAttribute(render)}></script>`;
+    }
+
+    /**
+     * Render a generated inline script, with the nonce and registered for CSP hashes
+     * @param {string} content script content, already escaped
+     * @param {Object} render render state
+     * @return {string}
+     */
+    #renderInlineScript(content, render) {
+        render.inlineContents.script.push(content);
+
+        return `<script${this.#nonceAttribute(render)}>${content}</script>`;
+    }
+
+    /**
+     * Transform React element to HTML string
+     * @param element
+     * @param {{render: Object, listeners: Object[], path?: string[], contexts?: Map, selectValue?: *, suspense?: Object}} scope values inherited from the parent elements
+     * @return {Promise<string>}
+     */
+    async #renderToString(element, scope) {
+        const output = createStringOutput();
+        await this.#render(element, scope, output);
+        return output.html;
+    }
+
+    /**
+     * Transform React element to HTML (see #renderElement), the component stack is kept for the errors
+     * @param element
+     * @param {{render: Object, listeners: Object[], path?: string[]}} scope
+     * @param {{write: (chunk:string) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #render(element, scope, output) {
+        try {
+            return await this.#renderElement(element, scope, output);
+        }
+        catch (error) {
+            // the first render catching the error is the one of the element which threw
+            if (error !== null && typeof error === "object" && !componentStacks.has(error)) {
+                const name = typeName(element?.type);
+                const path = [...(scope.path ?? []), ...(name ? [name] : [])];
+                componentStacks.set(error, path.reverse().map(name => `\n    at ${name}`).join(""));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Transform React element to HTML, written to the output as soon as it is available
+     * @param element
+     * @param {{render: Object, listeners: Object[], path?: string[], contexts?: Map, selectValue?: *, suspense?: Object, head?: boolean}} scope values inherited from the parent elements
+     * @param {{write: (chunk:string) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #renderElement(element, scope, output) {
+
+        // Same as React: null, undefined, booleans and functions render nothing
+        if (element === undefined || element === null || typeof element === "boolean" || typeof element === "function")
+            return;
+        if (typeof element === 'string' || typeof element === 'number' || typeof element === 'bigint')
+            return await output.write(escapeHtml(element));
+        if (element instanceof RawHtml)
+            return await output.write(element.html);
+
+
+        if (element instanceof Array || (typeof element === "object" && typeof element[Symbol.iterator] === "function")) {
+            return await this.#renderSiblings([...element], scope, output);
+        }
+
+
+        if (typeof element !== "object" || !("type" in element)) {
+            const found = typeof element === "object" ? `object with keys {${Object.keys(element).join(", ")}}` : String(element);
+            throw new Error(`Invalid React child (found: ${found}) in ${(scope.path ?? []).join(" > ") || "root"}`);
+        }
+
+
+        let { type, props = {} } = element;
+
+
+        // manage symbols
+        if (type === REACT_SUSPENSE_TYPE && scope.suspense)
+            return await this.#renderSuspense(props, scope, output);
+
+        if (typeof type === "symbol")
+            return await this.#render(props.children, scope, output);
+
+
+        // Manage memo, forwardRef, lazy and context types
+        if (typeof type === "object" && type !== null) {
+            switch (type.$$typeof) {
+                case REACT_MEMO_TYPE:
+                    return await this.#render({...element, type: type.type}, scope, output);
+
+                case REACT_FORWARD_REF_TYPE:
+                    scope = {...scope, path: [...(scope.path ?? []), type.displayName || type.render.name || "ForwardRef"]};
+                    return await this.#render(await this.#callComponent(() => type.render(props, null), scope), scope, output);
+
+                case REACT_LAZY_TYPE:
+                    return await this.#render({...element, type: await resolveLazy(type)}, scope, output);
+
+                case REACT_PROVIDER_TYPE:
+                    return await this.#render(props.children, {...scope, contexts: new Map(scope.contexts).set(type._context, props.value)}, output);
+
+                case REACT_CONTEXT_TYPE:
+                    // In React 18 development builds, Consumer is a distinct object referencing the context
+                    if (typeof props.children === "function" && !("value" in props))
+                        return await this.#render(props.children(readContext(scope, type._context ?? type)), scope, output);
+
+                    return await this.#render(props.children, {...scope, contexts: new Map(scope.contexts).set(type, props.value)}, output);
+
+                case REACT_CONSUMER_TYPE:
+                    return await this.#render(props.children(readContext(scope, type._context)), scope, output);
+            }
+
+            throw new Error(`Invalid element type ${String(type.$$typeof)} in ${(scope.path ?? []).join(" > ") || "root"}`);
+        }
+
+
+        // Manage islands
+        if (type === Island)
+            return await this.#renderIsland(props, scope, output);
+
+
+        // Manage error boundaries
+        if (type === ErrorBoundary)
+            return await this.#renderErrorBoundary(props, scope, output);
+
+
+        // Manage caches
+        if (type === Cache)
+            return await this.#renderCache({...props, key: element.key ?? props.key}, scope, output);
+
+
+        // Manage signals
+        if (type === Signal) {
+            if (typeof props.name !== "string" || !VALID_IDENTIFIER.test(props.name))
+                throw new Error(`Invalid signal name: ${String(props.name)}`);
+
+            return await output.write(() => {
+                (scope.render.signals ??= {})[props.name] = props.value;
+                return "";
+            });
+        }
+
+
+        // Manage head components
+        if (type === Title || type === Meta || type === Link || type === Head)
+            return await this.#collectHead(type, props, scope, output);
+
+
+        // Manage class components
+        if (typeof type === 'function' && type.prototype?.isReactComponent) {
+            scope = {...scope, path: [...(scope.path ?? []), type.displayName || type.name || "Anonymous"]};
+            return await this.#render(await this.#renderClassComponent(type, props, scope), scope, output);
+        }
+
+
+        // Manage functional components
+        if (typeof type === 'function') {
+            scope = {...scope, path: [...(scope.path ?? []), type.displayName || type.name || "Anonymous"]};
+
+            // the children are rendered only for the callback using them (see setCreateComponentCallback)
+            if (this.#renderChildren && props.children !== undefined) {
+                const children = new RawHtml(await this.#renderToString(props.children, scope));
+                return await this.#render(await this.#callComponent(() => this.#createComponent(type, props, children), scope), scope, output);
+            }
+
+            return await this.#render(await this.#callComponent(() => this.#createComponent(type, props), scope), scope, output);
+        }
+
+
+        return await this.#parseTag(type, props, scope, output);
+    }
+
+    /**
+     * Render siblings (children of an element, arrays and iterables) concurrently, the HTML is written in their order
+     *
+     * The ids of useId are given by position: each sibling has its own prefix (from its index) and counter, so they
+     * don't depend on which sibling is rendered first
+     * @param {*[]} siblings
+     * @param {{render: Object, ids?: {prefix: string, next: number}, island?: boolean}} scope
+     * @param {{write: (chunk:string|(() => string)) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #renderSiblings(siblings, scope, output) {
+
+        const isText = sibling => typeof sibling === 'string' || typeof sibling === 'number' || typeof sibling === 'bigint';
+        const prefix = (scope.ids ?? scope.render.ids).prefix;
+        const {outputs, flushed} = createSiblingOutputs(output, siblings.length);
+        const tasks = [];
+
+        siblings.forEach((sibling, index) => {
+            const siblingOutput = outputs[index];
+
+            // Same as react-dom, adjacent texts are separated in islands so they match the nodes when hydrating
+            if (scope.island && index > 0 && isText(siblings[index - 1]) && isText(sibling))
+                siblingOutput.write("<!-- -->");
+
+            // texts and empty nodes are written right away, the elements are rendered concurrently
+            if (sibling === null || sibling === undefined || typeof sibling === "boolean" || typeof sibling === "function")
+                return siblingOutput.end();
+
+            if (isText(sibling) || sibling instanceof RawHtml) {
+                siblingOutput.write(sibling instanceof RawHtml ? sibling.html : escapeHtml(sibling));
+                return siblingOutput.end();
+            }
+
+            tasks.push(async () => {
+                await this.#render(sibling, {...scope, ids: {prefix: `${prefix}${index.toString(32)}-`, next: 0}, slot: true}, siblingOutput);
+                siblingOutput.end();
+            });
+        });
+
+        if (tasks.length > 0) {
+            // the sibling rendering these siblings gives its slot back while waiting for them, so the limit applies to
+            // the whole render without the parents blocking their children
+            if (scope.slot)
+                scope.limiter.release();
+            try {
+                await runConcurrently(tasks, scope.limiter);
+            }
+            finally {
+                if (scope.slot)
+                    await scope.limiter.acquire();
+            }
+        }
+        await flushed();
+    }
+
+    /**
+     * Collect the tags of a head component in the render state, they are written in the head
+     * @param {Function} type Title, Meta, Link or Head
+     * @param {Object} props
+     * @param {{render: Object}} scope
+     * @param {{write: (chunk:string|(() => string)) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #collectHead(type, props, scope, output) {
+
+        const head = scope.render.head;
+
+        if (type === Title)
+            return await output.write(() => {
+                head.title = textContent(props.children);
+                return "";
+            });
+
+        if (type === Meta || type === Link)
+            return await output.write(() => {
+                head.tags.push({type: type === Meta ? "meta" : "link", props});
+                return "";
+            });
+
+        // the text of the children is ignored, the tags are collected when the chunks are written
+        const content = createBufferOutput();
+        await this.#render(props.children, {...scope, head: true}, content);
+        await output.write(() => {
+            content.html();
+            return "";
+        });
+    }
+
+    /**
+     * Render an error boundary: its children, or its fallback when they throw
+     * @param {{children?: *, fallback?: *}} props the fallback is an element or a function receiving the error and
+     * its component stack
+     * @param {{render: Object, listeners: Object[]}} scope
+     * @param {{write: (chunk:string) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #renderErrorBoundary({children, fallback}, scope, output) {
+
+        // the chunks are discarded when the children throw, so their listeners are not registered
+        const content = createBufferOutput();
+
+        try {
+            await this.#render(children, {...scope, suspense: null, path: [...(scope.path ?? []), "ErrorBoundary"]}, content);
+        }
+        catch (error) {
+            this.#reportError(error, scope.render);
+
+            const details = {componentStack: componentStack(error)};
+            return await this.#render(typeof fallback === "function" ? fallback(error, details) : fallback, scope, output);
+        }
+
+        await content.replay(output);
+    }
+
+    /**
+     * Report a render error to the onError handlers, it is kept for the development overlay
+     * @param {*} error
+     * @param {Object} render render state
+     */
+    #reportError(error, render) {
+
+        const details = {componentStack: componentStack(error)};
+
+        render.errors.push({error, ...details});
+        this.#errorHandlers.forEach(handler => handler(error, details));
+    }
+
+    /**
+     * Render a cache element: its entry is taken from the cache store, or its children are rendered and stored
+     *
+     * The children are rendered with their own render state, in which the values depending on the render are
+     * placeholders (see placeholder), so the entry can be written anywhere in any render (see #writeCacheEntry)
+     * @param {{key: string, ttl?: number, tags?: string[], children?: *}} props
+     * @param {{render: Object, listeners: Object[], ids?: {prefix: string, next: number}, path?: string[]}} scope
+     * @param {{write: (chunk:string|(() => string)) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #renderCache({key, ttl, tags = [], children}, scope, output) {
+
+        if (typeof key !== "string" || key === "")
+            throw new Error(`Invalid cache key: ${String(key)}, expected a non empty string`);
+        if (ttl !== undefined && !(typeof ttl === "number" && ttl > 0))
+            throw new Error(`Invalid cache ttl: ${String(ttl)}, expected a number of milliseconds greater than 0`);
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== "string"))
+            throw new Error(`Invalid cache tags: ${String(tags)}, expected an array of strings`);
+
+        // the ids of useId in the entry get the prefix of its position
+        const ids = scope.ids ?? scope.render.ids;
+        const prefix = `${ids.prefix}${(ids.next++).toString(32)}_`;
+
+        let entry = await this.#cacheStore.get(key);
+
+        if (!entry) {
+            const marker = `cache-${crypto.randomUUID()}`;
+            const render = {...createRenderState(), cacheMarker: marker, ids: {prefix: `${marker}${marker}`, next: 0}};
+            const content = createBufferOutput();
+
+            try {
+                await this.#render(children, {
+                    ...scope,
+                    render,
+                    listeners: render.listeners,
+                    ids: render.ids,
+                    suspense: null,
+                    path: [...(scope.path ?? []), "Cache"]
+                }, content);
+            }
+            finally {
+                scope.render.errors.push(...render.errors);
+            }
+
+            entry = {
+                marker,
+                html: content.html(),
+                identifiers: render.identifier,
+                listeners: render.listeners,
+                head: render.head,
+                signals: render.signals,
+                inlineContents: render.inlineContents
+            };
+
+            // the fallback of an error boundary is not kept
+            if (render.errors.length === 0)
+                await this.#cacheStore.set(key, entry, {ttl, tags});
+        }
+
+        await output.write(() => this.#writeCacheEntry(entry, prefix, scope));
+    }
+
+    /**
+     * Write a cache entry: its placeholders are replaced, its listeners, head tags, signals and inline contents are
+     * added to the render
+     * @param {{marker: string, html: string, identifiers: number, listeners: Object[], head: {title: string|null, tags: Object[]}, signals: Object|null, inlineContents: {script: string[], style: string[]}}} entry
+     * @param {string} prefix prefix of the ids of useId
+     * @param {{render: Object, listeners: Object[]}} scope
+     * @return {string}
+     */
+    #writeCacheEntry(entry, prefix, scope) {
+
+        const render = scope.render;
+        const first = render.identifier;
+        render.identifier += entry.identifiers;
+
+        const pattern = new RegExp(`${entry.marker}(p|n|\\d*)${entry.marker}`, "g");
+        const resolve = text => text.replace(pattern, (match, value) => {
+            if (value === "p")
+                return placeholder(render, "p", this.#identifierPrefix);
+            if (value === "n")
+                return this.#nonceAttribute(render);
+            if (value === "")
+                return prefix;
+
+            return placeholder(render, first + Number(value), first + Number(value));
+        });
+
+        scope.listeners.push(...entry.listeners.map(({identifier, events}) => ({identifier: resolve(identifier), events})));
+
+        if (entry.head.title !== null)
+            render.head.title = entry.head.title;
+        render.head.tags.push(...entry.head.tags);
+
+        if (entry.signals)
+            render.signals = {...render.signals, ...entry.signals};
 
+        render.inlineContents.script.push(...entry.inlineContents.script.map(resolve));
+        render.inlineContents.style.push(...entry.inlineContents.style.map(resolve));
 
-module.exports = class Document {
+        return resolve(entry.html);
+    }
 
-    #identifier = 0; // auto-increment id for generating unique identifiers
+    /**
+     * Give the next identifier of the render (data-identifier, data-island)
+     * @param {string} type
+     * @param {Object} render render state
+     * @return {string}
+     */
+    #nextIdentifier(type, render) {
+        const number = render.identifier++;
+        return `${placeholder(render, "p", this.#identifierPrefix)}${type}_${placeholder(render, number, number)}`;
+    }
 
-    #lang = "en";
-    #title = "Rendered as dynamic markup";
-    #metas = [];
-    #links = [];
-    #styles = [];
-    #headerScripts = [];
-    #bodyScripts = [];
-    #noScript = "Your browser does not support JavaScript!";
-    #listeners = [];
+    /**
+     * Get the nonce attribute of the script and style tags
+     * @param {Object} render render state
+     * @return {string}
+     */
+    #nonceAttribute(render) {
+        return placeholder(render, "n", this.#nonce ? ` nonce="${escapeHtml(this.#nonce)}"` : "");
+    }
+
+    /**
+     * Render an island: the HTML of its component in a container, followed by the script hydrating it
+     * @param {{component: string, props?: Object, as?: string}} props
+     * @param {{render: Object, path?: string[]}} scope
+     * @param {{write: (chunk:string) => void|Promise<void>}} output
+     * @return {Promise<void>}
+     */
+    async #renderIsland({component, props = {}, as = "div"}, scope, output) {
+
+        if (!this.#islandModule)
+            throw new Error("The island module must be set with setIslandModule before rendering islands");
+
+        const type = this.#islandComponents[component];
+        if (typeof type !== "function")
+            throw new Error(`Unknown island component: ${String(component)}, expected one of: ${Object.keys(this.#islandComponents).join(", ")}`);
 
-    #createComponent = async (component, props, children) => component(props, children);
+        if (!VALID_TAG_NAME.test(as))
+            throw new Error(`Invalid tag name: ${String(as)}`);
+
+        const html = await this.#renderToString({type, props}, {
+            ...scope,
+            island: true,
+            suspense: null,
+            path: [...(scope.path ?? []), `Island(${component})`]
+        });
+
+        await output.write(() => {
+            const identifier = this.#nextIdentifier("island", scope.render);
+            const script = `(window.__mountIsland ??= ${mountIsland})(${[this.#islandModule, identifier, component, props].map(value => serializeValue(value)).join(", ")});`;
+
+            return `<${as} data-island="${identifier}">${html}</${as}>${this.#renderInlineScript(escapeRawText(script, "script"), scope.render)}`;
+        });
+    }
 
     /**
-     * The document reflect the DOM, with method to modify information such as lang title, metas, links, scripts...
+     * Render a suspense boundary while streaming
      *
-     * The method renderToDynamicMarkup creates the HTML string including setup script for listeners and doctype, html, head & body tags
+     * If its content takes more than the suspense timeout, the fallback is written instead and the content
+     * is registered to be sent later (see #renderSuspenseSegments)
+     * @param {{children?: *, fallback?: *}} props
+     * @param {{render: Object, listeners: Object[], suspense: Object}} scope
+     * @param {{write: (chunk:string) => void|Promise<void>}} output
+     * @return {Promise<void>}
      */
-    constructor() {}
+    async #renderSuspense(props, scope, output) {
+
+        const listeners = [];
+        const content = createBufferOutput();
+
+        // nested boundaries are rendered inline, the content may be rendered after the boundary so it holds no slot
+        const rendering = this.#render(props.children, {...scope, suspense: null, listeners, slot: false}, content);
+
+        let timer;
+        const timedOut = await Promise.race([
+            rendering.then(() => false),
+            new Promise(resolve => timer = setTimeout(resolve, scope.suspense.timeout, true))
+        ]).finally(() => clearTimeout(timer));
+
+        if (!timedOut) {
+            await content.replay(output);
+            return await output.write(() => {
+                scope.listeners.push(...listeners);
+                return "";
+            });
+        }
 
+        const boundary = {id: null};
+        const fallbackListeners = [];
 
+        await output.write(() => {
+            boundary.id = scope.suspense.nextId++;
+            return `<!--$?--><template id="B:${boundary.id}"></template>`;
+        });
+        await this.#render(props.fallback, {...scope, suspense: null, listeners: fallbackListeners}, output);
+        await output.write("<!--/$-->");
+
+        // the fallback may be removed before DOMContentLoaded, its listeners are attached right away
+        await output.write(() => fallbackListeners.length > 0 || scope.render.signals
+            ? this.#renderInlineScript(`(function() {\n${escapeRawText(this.#listenerSetup(fallbackListeners, "document", scope.render.signals), "script")}\n})();`, scope.render)
+            : "");
+
+        scope.suspense.boundaries.push(rendering.then(
+            () => ({boundary, html: content.html(), listeners}),
+            error => {
+                // the fallback is kept
+                this.#reportError(error, scope.render);
+                scope.suspense.onError?.(error);
+                return null;
+            }
+        ));
+    }
 
     /**
-     * Transform a React element into a valid HTML string which includes a setup script for listeners (no client-side hydration)
-     *
-     * Ex: const html = await renderToDynamicMarkup(<Page/>);
-     *
-     * NOTE: doctype, html, head and body tags will be automatically wrapped and should not be part of the React element !
-     *
-     * The following methods can be used before calling renderToDynamicMarkup to modify the resulting html:
-     * <ul>
-     *   <li>setLang</li>
-     *   <li>setTitle</li>
-     *   <li>addMeta</li>
-     *   <li>addLink</li>
-     *   <li>addStyle</li>
-     *   <li>addHeaderScript</li>
-     *   <li>addBodyScript</li>
-     *   <li>setNoScript</li>
-     * </ul>
-     *
-     *
-     * @param reactElement
-     * @return {Promise<string>}
+     * Write the content of the suspense boundaries which were sent with their fallback, in the order they are rendered
+     * @param {{boundaries: Promise<{boundary: {id: number}, html: string, listeners: Object[]}|null>[]}} suspense
+     * @param {Object} render render state
+     * @param {{write: (chunk:string) => void|Promise<void>}} output
+     * @return {Promise<void>}
      */
-    async renderToDynamicMarkup(reactElement) {
+    async #renderSuspenseSegments(suspense, render, output) {
 
-        const content = await this.#renderToString(reactElement);
+        if (suspense.boundaries.length === 0)
+            return;
 
-        return `
-            <!DOCTYPE html>
-            <html lang='${this.#lang}'>
-                <head>
-                    <title>${this.#title}</title>
-                    ${(await Promise.all(this.#metas)).join("\n")}
-                    ${(await Promise.all(this.#links)).join("\n")}
-                    ${(await Promise.all(this.#styles)).join("\n")}
-                    ${(await Promise.all(this.#headerScripts)).join("\n")}
-                </head>
-                <body>
-                    ${content}
-                    ${(await Promise.all(this.#bodyScripts)).join("\n")}
-                    <script>
-document.addEventListener('DOMContentLoaded', function() {
-${this.#listeners.join('\n\n')}
-});
-                    </script>
-                    <noscript>${this.#noScript}</noscript>
-                </body>
-            </html>
-        `;
+        await output.write(this.#renderInlineScript(`window.__swapSuspenseBoundary = ${swapSuspenseBoundary};`, render));
+
+        const pending = new Set(suspense.boundaries.map(boundary => {
+            const settled = boundary.then(segment => ({settled, segment}));
+            return settled;
+        }));
+
+        while (pending.size > 0) {
+            const {settled, segment} = await Promise.race(pending);
+            pending.delete(settled);
+
+            if (!segment)
+                continue;
+
+            const setup = segment.listeners.length > 0 || render.signals
+                ? `function() {\n${this.#listenerSetup(segment.listeners, "document", render.signals)}\n}`
+                : "null";
+
+            // the id of the boundary is given when its fallback is written
+            const id = segment.boundary.id;
 
+            await output.write(`<template id="S:${id}">${segment.html}</template>`);
+            await output.write(this.#renderInlineScript(`__swapSuspenseBoundary("B:${id}", "S:${id}", ${escapeRawText(setup, "script")});`, render));
+        }
     }
 
     /**
-     * Transform React element to HTML string
-     * @param element
-     * @return {Promise<string|string|*|string>}
+     * Create the client code attaching the listeners collected while rendering
+     *
+     * Without event delegation, each element is selected by its identifier and gets its listeners.
+     * With event delegation, handlers are registered once (identical handlers are deduplicated) and dispatched by
+     * one listener per event type on the document.
+     * When the client store is used, it is created once, initialized with the signals it doesn't have yet and bound
+     * to the elements (the listeners use it as "store").
+     * @param {{identifier: string, events: {type: string, listener: string, options: Object}[]}[]} listeners
+     * @param {string} root variable of the element in which the elements are selected
+     * @param {Object|null} signals initial values of the signals, null when the store is not used
+     * @return {string}
+     */
+    #listenerSetup(listeners, root = "document", signals = null) {
+
+        if (!signals)
+            return this.#listenerCode(listeners, root);
+
+        return `const store = (window.__store ??= (${createStore})());
+store.init(${serializeValue(signals)});
+store.bind(${root});
+${this.#listenerCode(listeners, root)}`;
+    }
+
+    /**
+     * Create the client code attaching the listeners (see #listenerSetup)
+     * @param {{identifier: string, events: {type: string, listener: string, options: Object}[]}[]} listeners
+     * @param {string} root variable of the element in which the elements are selected
+     * @return {string}
      */
-    async #renderToString(element) {
+    #listenerCode(listeners, root) {
+
+        if (!this.#eventDelegation)
+            return listeners.map(({identifier, events}) => {
+                const variable = identifier.replace(/[^a-zA-Z0-9_$]/g, "_");
+
+                return `const ${variable} = ${root}.querySelector('[data-identifier="${identifier}"]');\n${events
+                    .map(event => `${variable}.addEventListener("${event.type}", ${event.listener}${Object.keys(event.options).length > 0 ? `, ${JSON.stringify(event.options)}` : ""});`).join('\n')}`;
+            }).join('\n\n');
+
+        if (listeners.length === 0)
+            return "";
+
+        const handlers = [];
+        const registry = {};
+
+        listeners.forEach(({identifier, events}) => {
+            registry[identifier] = events.map(event => {
+                if (!handlers.includes(event.listener))
+                    handlers.push(event.listener);
+
+                return Object.keys(event.options).length > 0
+                    ? [event.type, handlers.indexOf(event.listener), event.options]
+                    : [event.type, handlers.indexOf(event.listener)];
+            });
+        });
 
-        if (element === undefined)
-            return "undefined";
-        if (element === null)
-            return "null";
-        if (typeof element === 'string' || typeof element === 'number')
-            return String(element);
+        return `(window.__delegateListeners ??= ${delegateListeners})([\n${handlers.join(',\n')}\n], ${JSON.stringify(registry)});`;
+    }
+
+    /**
+     * Call a component with the hooks dispatcher active, so it can use hooks such as useState or useContext
+     *
+     * If the component suspends (ex: use(promise)), it is called again once the promise is settled, with the ids of
+     * useId it got before suspending
+     * @param {() => *} call
+     * @param {{contexts?: Map}} scope
+     * @return {Promise<*>}
+     */
+    async #callComponent(call, scope) {
+        const React = await loadReact();
+        const ids = scope.ids ?? scope.render.ids;
+        const next = ids.next;
 
+        while (true) {
+            ids.next = next;
+            const previous = setDispatcher(React, this.#createDispatcher(scope));
+            let result;
+            try {
+                result = call();
+            }
+            catch (error) {
+                result = Promise.reject(error);
+            }
+            finally {
+                setDispatcher(React, previous);
+            }
 
-        if (element instanceof Array) {
-            let html = "";
-            for (const el of element) {
-                html += await this.#renderToString(el);
+            try {
+                return await result;
+            }
+            catch (thrown) {
+                if (thrown && typeof thrown.then === "function") {
+                    await thrown.then(() => {}, () => {});
+                    continue;
+                }
+                throw thrown;
             }
-            return html;
         }
+    }
 
+    /**
+     * Create the hooks dispatcher used while a component is called
+     *
+     * There is no update on the server: states keep their initial value, memos are computed once and effects never run
+     * @param {{contexts?: Map}} scope
+     * @return {Object}
+     */
+    #createDispatcher(scope) {
+        const noop = () => {};
 
-        let { type, props = {} } = element;
+        return {
+            readContext: context => readContext(scope, context),
+            useContext: context => readContext(scope, context),
+            use: usable => {
+                if (typeof usable?.then !== "function")
+                    return readContext(scope, usable);
 
+                // Same as React: the promise is thrown until it is settled
+                if (usable.status === "fulfilled")
+                    return usable.value;
+                if (usable.status === "rejected")
+                    throw usable.reason;
 
-        // manage symbols
-        if (typeof type === "symbol") {
-            let html = "";
+                if (usable.status !== "pending") {
+                    usable.status = "pending";
+                    usable.then(
+                        value => Object.assign(usable, {status: "fulfilled", value}),
+                        reason => Object.assign(usable, {status: "rejected", reason})
+                    );
+                }
+                throw usable;
+            },
+            useState: initialState => [typeof initialState === "function" ? initialState() : initialState, noop],
+            useReducer: (reducer, initialArg, init) => [init ? init(initialArg) : initialArg, noop],
+            useMemo: create => create(),
+            useCallback: callback => callback,
+            useRef: initialValue => ({current: initialValue}),
+            useId: () => {
+                const ids = scope.ids ?? scope.render.ids;
+                return `:r${ids.prefix}${(ids.next++).toString(32)}:`;
+            },
+            useEffect: noop,
+            useLayoutEffect: noop,
+            useInsertionEffect: noop,
+            useImperativeHandle: noop,
+            useDebugValue: noop,
+            useTransition: () => [false, noop],
+            useDeferredValue: (value, initialValue) => initialValue ?? value,
+            useSyncExternalStore: (subscribe, getSnapshot, getServerSnapshot) => (getServerSnapshot ?? getSnapshot)(),
+            useOptimistic: state => [state, noop],
+            useActionState: (action, initialState) => [initialState, noop, false],
+            useFormState: (action, initialState) => [initialState, noop, false],
+            useMemoCache: size => new Array(size).fill(Symbol.for("react.memo_cache_sentinel"))
+        };
+    }
 
-            if (props.children)
-                html += await this.#renderToString(props.children);
+    /**
+     * Instantiate a class component and call its render method
+     * @param {Function} type
+     * @param {Object} props
+     * @param {{contexts?: Map}} scope
+     * @return {Promise<*>}
+     */
+    async #renderClassComponent(type, props, scope) {
 
-            return html;
-        }
+        if (type.defaultProps)
+            props = {...type.defaultProps, ...props};
 
+        const context = type.contextType ? readContext(scope, type.contextType) : {};
 
-        // Manage functional components
-        if (typeof type === 'function') {
-            if (props.children)
-                return await this.#renderToString(await this.#createComponent(type, props, await this.#renderToString(props.children)));
-            else
-                return await this.#renderToString(await this.#createComponent(type, props));
-        }
+        // setState is only applied when called from componentWillMount, as there is no update on the server
+        const queue = [];
+        const updater = {
+            isMounted: () => false,
+            enqueueSetState: (instance, partialState) => queue.push(partialState),
+            enqueueReplaceState: (instance, state) => queue.push(() => state),
+            enqueueForceUpdate: () => {}
+        };
+
+        const instance = new type(props, context, updater);
+        instance.props = props;
+        instance.context = context;
+        instance.updater = updater;
+        instance.state ??= null;
 
+        if (typeof type.getDerivedStateFromProps === "function")
+            instance.state = {...instance.state, ...type.getDerivedStateFromProps(props, instance.state)};
+        else {
+            if (typeof instance.UNSAFE_componentWillMount === "function")
+                instance.UNSAFE_componentWillMount();
+            else if (typeof instance.componentWillMount === "function")
+                instance.componentWillMount();
+
+            for (const partialState of queue)
+                instance.state = {...instance.state, ...(typeof partialState === "function" ? partialState(instance.state, props) : partialState)};
+        }
 
-        return await this.#parseTag(type, props);
+        return await this.#callComponent(() => instance.render(), scope);
     }
 
-    async #parseTag(type, attributes) {
+    async #parseTag(type, attributes, scope, output) {
+
+        if (!VALID_TAG_NAME.test(type))
+            throw new Error(`Invalid tag name: ${String(type)}`);
+
+        const tag = type.toLowerCase();
+
+        // Tags in a Head component are collected instead of being written
+        if (scope.head) {
+            if (!HEAD_TAGS.has(tag))
+                throw new Error(`<${type}> can't be added to the head, expected one of: ${[...HEAD_TAGS].join(", ")}`);
+
+            return await output.write(() => {
+                if (tag === "title")
+                    scope.render.head.title = textContent(attributes.children);
+                else
+                    scope.render.head.tags.push({type: tag, props: attributes});
+
+                return "";
+            });
+        }
 
         let html = `<${type}`;
 
-        let children = "";
+        let children = attributes.children;
+        let innerHTML = null;
+        let childScope = {...scope, path: [...(scope.path ?? []), type]};
         let eventListeners = [];
+
+        if (attributes.dangerouslySetInnerHTML !== null && attributes.dangerouslySetInnerHTML !== undefined) {
+            if (children !== null && children !== undefined)
+                throw new Error(`<${type}>: can only set one of children or dangerouslySetInnerHTML`);
+            if (typeof attributes.dangerouslySetInnerHTML !== "object" || !("__html" in attributes.dangerouslySetInnerHTML))
+                throw new Error(`<${type}>: dangerouslySetInnerHTML must be in the form {__html: ...}`);
+
+            innerHTML = String(attributes.dangerouslySetInnerHTML.__html ?? "");
+        }
+
+        // Form values, the same way react-dom does
+        attributes = {...attributes};
+
+        if (tag === "input") {
+            attributes.value ??= attributes.defaultValue;
+            attributes.checked ??= attributes.defaultChecked;
+        }
+        else if (tag === "textarea") {
+            const value = attributes.value ?? attributes.defaultValue;
+            if (value !== null && value !== undefined)
+                children = String(value);
+            delete attributes.value;
+        }
+        else if (tag === "select") {
+            childScope.selectValue = attributes.value ?? attributes.defaultValue;
+            delete attributes.value;
+        }
+        else if (tag === "option" && scope.selectValue !== null && scope.selectValue !== undefined) {
+            const value = attributes.value ?? (typeof children === "string" || typeof children === "number" ? children : undefined);
+            const selected = Array.isArray(scope.selectValue) ? scope.selectValue.map(String) : [String(scope.selectValue)];
+            attributes.selected ??= value !== undefined && selected.includes(String(value));
+        }
+
+        // Bound elements need the client store
+        if (!scope.island && (attributes["data-bind-text"] !== undefined || attributes["data-bind-attr"] !== undefined))
+            scope.render.signals ??= {};
+
         Object.entries(attributes).forEach(([key, value]) => {
-            if (key === "children")
-                children = value;
+            if (RESERVED_PROPS.has(key))
+                return;
+            else if (!VALID_ATTRIBUTE_NAME.test(key))
+                return; // invalid attribute names are ignored, as they could break the markup
             else {
 
-                if (key.toLowerCase().startsWith('on') && typeof value === "function")
-                    eventListeners.push({type: key.substring(2).toLowerCase(), listener: value.toString()});
+                if (key.toLowerCase().startsWith('on') && typeof value === "function") {
+                    // In islands, listeners are attached by React when hydrating
+                    if (scope.island)
+                        return;
 
-                else if (key.toLowerCase() === "style" && typeof value === "object")
-                    html += ` style="${Object.entries(value).map(([key, value]) => `${key}:${value.toString()}`).join(';')}"`;
+                    const {type, capture} = getEvent(key, tag, attributes.type);
+                    const options = Object.fromEntries(Object.entries({capture, ...listenerDetails.get(value)?.options})
+                        .filter(([, option]) => option));
 
-                else if (typeof value === "boolean") {
-                    if (value === true)
-                        html += " " + key;
+                    eventListeners.push({type, listener: listenerSource(value), options});
                 }
 
-                else if (typeof value !== "symbol") {
-                    if (key === "className")
-                        key = "class";
-
-                    html += ` ${key}="${value}"`;
+                else if (key.toLowerCase() === "style" && typeof value === "object" && value !== null) {
+                    const style = renderStyle(value);
+                    if (style)
+                        html += ` style="${escapeHtml(style)}"`;
                 }
+
+                else
+                    html += renderAttribute(key, value);
             }
         })
 
-        if (eventListeners.length > 0) {
+        if ((tag === "script" || tag === "style") && (attributes.nonce === null || attributes.nonce === undefined))
+            html += this.#nonceAttribute(scope.render);
+
+        // the identifier is given when the tag is written, so identifiers follow the order of the elements
+        const openTag = end => eventListeners.length === 0 ? html + end : () => {
+            const identifier = this.#nextIdentifier(type, scope.render);
+            scope.listeners.push({identifier, events: eventListeners});
 
-            let identifier = `${type}_${this.#identifier++}`;
+            return `${html} data-identifier="${identifier}" data-listeners="${eventListeners.map(eventListener => eventListener.type).join(", ")}"${end}`;
+        };
 
-            html += ` data-identifier="${identifier}" data-listeners="${eventListeners.map(eventListener => eventListener.type).join(", ")}"`;
+        if (VOID_ELEMENTS.has(tag)) {
+            if ((children !== null && children !== undefined) || innerHTML !== null)
+                throw new Error(`<${type}> is a void element and can't have children`);
 
-            this.#listeners.push(
-                `const ${identifier} = document.querySelector('[data-identifier="${identifier}"]');\n${eventListeners
-                    .map(eventListener => `${identifier}.addEventListener("${eventListener.type}", ${eventListener.listener});`).join('\n')}`
-            );
+            return await output.write(openTag("/>"));
         }
 
-        html += `>${await this.#renderToString(children)}</${type}>`;
+        if (innerHTML !== null) {
+            if ((tag === "script" || tag === "style") && innerHTML)
+                scope.render.inlineContents[tag].push(innerHTML);
 
-        return html;
+            await output.write(openTag(">"));
+            await output.write(`${innerHTML}</${type}>`);
+        }
+        else if (["script", "style"].includes(tag) && (typeof children === "string" || children instanceof RawHtml)) {
+            const content = escapeRawText(children, tag);
+            if (content)
+                scope.render.inlineContents[tag].push(content);
+
+            await output.write(openTag(">"));
+            await output.write(`${content}</${type}>`);
+        }
+        else {
+            await output.write(openTag(">"));
+            await this.#render(children, childScope, output);
+            await output.write(`</${type}>`);
+        }
     }
 
     /**
@@ -182,30 +3024,199 @@ ${this.#listeners.join('\n\n')}
      *
      * It can be used by example to add document as second property of any component created
      *
-     * Ex: setCreateComponentCallback(async (component, props, children) => component(props, doc, children));
+     * Ex: setCreateComponentCallback(async (component, props) => component(props, doc));
+     *
+     * The children are in props.children as elements. With the renderChildren option, they are also rendered and
+     * given as third argument (written as is), the component must then use them instead of props.children:
+     *
+     * Ex: setCreateComponentCallback(async (component, props, children) => component(props, doc, children), {renderChildren: true});
      *
      * Note: It doesn't affect root component ! But you can do it by calling root component as a function when
      * using renderToDynamicMarkup:
      *
      * EX: use: renderToDynamicMarkup(Page({ id: "page"}, document)) instead of: renderToDynamicMarkup(<Page id="page" />)
      *
-     * @param {(component:Function, props:Object, children?:Object) => Promise<Object>} createComponent
+     * Note: class components are instantiated by the renderer and don't use the callback
+     *
+     * @param {(component:Function, props:Object, children?:RawHtml) => Promise<Object>} createComponent
+     * @param {{renderChildren?: boolean}} options
      */
-    setCreateComponentCallback(createComponent) {
+    setCreateComponentCallback(createComponent, {renderChildren = false} = {}) {
         this.#createComponent = createComponent;
+        this.#renderChildren = renderChildren;
+        return this;
+    }
+
+    /**
+     * Set the Content Security Policy nonce, added to every script and style tag (including the listener setup script)
+     *
+     * A new nonce must be generated for each request.
+     *
+     * Ex: setNonce(crypto.randomUUID())
+     *
+     * Result: <script nonce="...">...</script>
+     * @param {string} nonce
+     */
+    setNonce(nonce) {
+        this.#nonce = nonce;
+        return this;
+    }
+
+    /**
+     * Write the listener setup script as an external script instead of an inline script
+     *
+     * The callback receives the content hash of the script and returns its URL. After rendering, the script is available
+     * in the listenerScript of renderPage, and must be served at this URL.
+     *
+     * NOTE: when streaming, the script stays inline (with the nonce), as the stream can't give its content !
+     *
+     * Ex: setListenerScriptSrc(hash => `/listeners/${hash}.js`)
+     *
+     * Result: <script src="/listeners/1f2e3d4c5b6a7988.js"></script>
+     * @param {((hash:string) => string)|null} src
+     */
+    setListenerScriptSrc(src) {
+        this.#listenerScriptSrc = src;
+        return this;
+    }
+
+    /**
+     * Set the prefix of the identifiers (data-identifier) of the elements having listeners
+     *
+     * Ex: setIdentifierPrefix("cart-")
+     *
+     * Result: <button data-identifier="cart-button_0" data-listeners="click">
+     * @param {string} prefix letters, digits, "_" and "-" (not starting with a digit or "-")
+     */
+    setIdentifierPrefix(prefix) {
+        if (!/^([a-zA-Z_][a-zA-Z0-9_-]*)?$/.test(prefix))
+            throw new Error(`Invalid identifier prefix: ${prefix}`);
+
+        this.#identifierPrefix = prefix;
+        return this;
+    }
+
+    /**
+     * Enable or disable event delegation
+     *
+     * Without event delegation (default), the setup script selects each element having listeners and adds its listeners.
+     *
+     * With event delegation, the setup script registers each distinct handler once and adds one listener per event
+     * type on the document, which calls the handlers of the element (found by its data-identifier). It's much
+     * smaller when many elements have the same listeners (ex: table rows).
+     *
+     * Ex: setEventDelegation(true)
+     *
+     * Result: (window.__delegateListeners ??= function delegateListeners(handlers, registry) {...})([
+     * () => alert("hello")
+     * ], {"tr_0":[["click",0]],"tr_1":[["click",0]]});
+     * @param {boolean} enabled
+     */
+    setEventDelegation(enabled = true) {
+        this.#eventDelegation = enabled;
+        return this;
+    }
+
+    /**
+     * Set the number of siblings (children of an element, arrays) rendered at the same time in a render, 64 by default,
+     * so async components (ex: fetching data) wait at the same time. The limit is shared by the nested siblings: a
+     * sibling waiting for its own children doesn't count. The HTML and the identifiers keep the order of the siblings.
+     *
+     * Ex: setConcurrency(4)
+     *
+     * Ex: setConcurrency(1) // siblings are rendered one after the other
+     *
+     * Ex: setConcurrency(Infinity) // no limit
+     * @param {number} limit
+     */
+    setConcurrency(limit = Infinity) {
+
+        if (!(limit >= 1) || (limit !== Infinity && !Number.isInteger(limit)))
+            throw new Error(`Invalid concurrency: ${limit}, expected an integer greater than 0 or Infinity`);
+
+        this.#concurrency = limit;
+        return this;
+    }
+
+    /**
+     * Set the store of the Cache elements, it is shared by the copies of the document (in memory by default, see
+     * Document.createMemoryCacheStore)
+     *
+     * A store has the methods get(key), set(key, entry, {ttl, tags}) and invalidate(tags), they may be async (ex: Redis).
+     * The entries are plain objects, the HTML and the listeners are strings, the head tags keep their props.
+     *
+     * Ex: setCacheStore(Document.createMemoryCacheStore({maxEntries: 100}))
+     * @param {{get: (key:string) => Object|undefined|Promise<Object|undefined>, set: (key:string, entry:Object, options:{ttl?: number, tags: string[]}) => void|Promise<void>, invalidate: (tags:string[]) => void|Promise<void>}} store
+     */
+    setCacheStore(store) {
+
+        if (["get", "set", "invalidate"].some(method => typeof store?.[method] !== "function"))
+            throw new Error("Invalid cache store, expected an object with the methods get, set and invalidate");
+
+        this.#cacheStore = store;
         return this;
     }
 
+    /**
+     * Remove the entries of the cache store having one of the tags (see Document.Cache)
+     *
+     * Ex: await doc.invalidateCache(["nav"])
+     * @param {string[]} tags
+     * @return {Promise<void>}
+     */
+    async invalidateCache(tags) {
+        await this.#cacheStore.invalidate(tags);
+    }
+
     /**
      * Set html "lang" attribute
      *
      * Ex: setLang("fr")
      *
-     * Result: <html lang='fr'>
+     * Result: <html lang="fr">
      * @param {string} lang
      */
     setLang(lang) {
-        this.#lang = lang;
+        this.#htmlAttributes.lang = lang;
+        return this;
+    }
+
+    /**
+     * Set html tag attributes, they replace the attributes set before (except lang, see setLang)
+     *
+     * Ex: setHtmlAttributes({className: "dark", "data-theme": "dark"})
+     *
+     * Result: <html lang="en" class="dark" data-theme="dark">
+     * @param {{[p:string]: *}} attributes
+     */
+    setHtmlAttributes(attributes) {
+        this.#htmlAttributes = {lang: this.#htmlAttributes.lang, ...checkAttributes(attributes)};
+        return this;
+    }
+
+    /**
+     * Set body tag attributes, they replace the attributes set before
+     *
+     * Ex: setBodyAttributes({className: "home", style: {margin: 0}})
+     *
+     * Result: <body class="home" style="margin:0">
+     * @param {{[p:string]: *}} attributes
+     */
+    setBodyAttributes(attributes) {
+        this.#bodyAttributes = checkAttributes(attributes);
+        return this;
+    }
+
+    /**
+     * Set header base tag (written before the title, see Document.HeadPriority)
+     *
+     * Ex: setBase({href: "https://example.com/shop/", target: "_blank"})
+     *
+     * Result: <base href="https://example.com/shop/" target="_blank" />
+     * @param {{[p:string]: string}} attributes
+     */
+    setBase(attributes) {
+        this.#base = {type: "base", props: {...attributes}};
         return this;
     }
 
@@ -215,7 +3226,9 @@ ${this.#listeners.join('\n\n')}
      * Ex: setTitle("Hello")
      *
      * Result: <title>Hello</title>
-     * @param {string} title
+     *
+     * Note: the title is escaped, use Document.raw to write it as is
+     * @param {string|RawHtml} title
      */
     setTitle(title) {
         this.#title = title;
@@ -231,7 +3244,7 @@ ${this.#listeners.join('\n\n')}
      * @param {{[p:string]: string|boolean}} attributes
      */
     addMeta(attributes) {
-        this.#metas.push(this.#parseTag("meta", attributes));
+        this.#metas.push({type: "meta", props: {...attributes}});
         return this;
     }
 
@@ -244,7 +3257,7 @@ ${this.#listeners.join('\n\n')}
      * @param {{[p:string]: string|boolean}} attributes
      */
     addLink(attributes) {
-        this.#links.push(this.#parseTag("link", attributes));
+        this.#links.push({type: "link", props: {...attributes}});
         return this;
     }
 
@@ -265,7 +3278,7 @@ ${this.#listeners.join('\n\n')}
         if (content)
             attributes.children = content;
 
-        this.#styles.push(this.#parseTag("style", attributes));
+        this.#styles.push({type: "style", props: {...attributes}});
         return this;
     }
 
@@ -302,7 +3315,7 @@ ${this.#listeners.join('\n\n')}
                 attributes.children = content;
         }
 
-        this.#headerScripts.push(this.#parseTag("script", attributes));
+        this.#headerScripts.push({type: "script", props: {...attributes}});
         return this;
     }
 
@@ -339,7 +3352,75 @@ ${this.#listeners.join('\n\n')}
                 attributes.children = content;
         }
 
-        this.#bodyScripts.push(this.#parseTag("script", attributes));
+        this.#bodyScripts.push({type: "script", props: {...attributes}});
+        return this;
+    }
+
+    /**
+     * Add a raw node to the head, at the position given by its priority (see Document.HeadPriority)
+     *
+     * Ex: addHeadNode(Document.raw("<!-- styles -->"), Document.HeadPriority.style - 1)
+     *
+     * Result: <!-- styles --> (before the styles)
+     *
+     * Ex: addHeadNode(<meta name="robots" content="noindex"/>)
+     *
+     * Result: <meta name="robots" content="noindex"/> (at the end of the head)
+     * @param {RawHtml|ReactElement} node
+     * @param {number?} priority
+     */
+    addHeadNode(node, priority = HEAD_PRIORITIES.script) {
+        this.#headNodes.push({priority, node});
+        return this;
+    }
+
+    /**
+     * Set the client module of the islands and the components which can be used as islands (see Document.Island)
+     *
+     * The module is loaded in the browser, it exports the components by name, createElement (from react) and
+     * hydrateRoot (from react-dom/client).
+     *
+     * Ex: setIslandModule("/js/islands.js", {Counter, Cart})
+     *
+     * With /js/islands.js bundled for the browser:
+     * export {createElement} from "react";
+     * export {hydrateRoot} from "react-dom/client";
+     * export {Counter, Cart} from "./components.js";
+     * @param {string} src
+     * @param {{[name:string]: Function}} components
+     */
+    setIslandModule(src, components) {
+        this.#islandModule = src;
+        this.#islandComponents = {...components};
+        return this;
+    }
+
+    /**
+     * Add a handler called with the errors thrown while rendering, the ones caught by error boundaries included
+     *
+     * Ex: onError((error, {componentStack}) => console.error(error, componentStack))
+     *
+     * Result: Error: Price unavailable
+     *     at Price
+     *     at div
+     *     at Product
+     * @param {(error:*, details: {componentStack: string}) => void} handler
+     */
+    onError(handler) {
+        this.#errorHandlers.push(handler);
+        return this;
+    }
+
+    /**
+     * Enable the development mode: the errors are shown in an overlay, with their component stack
+     *
+     * When the render fails, the page is rendered with the overlay instead of rejecting (except when streaming).
+     *
+     * NOTE: don't enable it in production, the overlay shows the error stacks !
+     * @param {boolean} enabled
+     */
+    setDevMode(enabled = true) {
+        this.#devMode = enabled;
         return this;
     }
 
@@ -349,7 +3430,9 @@ ${this.#listeners.join('\n\n')}
      * Ex: setNoScript("Unable to run scripts !")
      *
      * Result: <noscript>Unable to run scripts !</noscript>
-     * @param {string} content
+     *
+     * Note: the content is escaped, use Document.raw to write HTML
+     * @param {string|RawHtml} content
      */
     setNoScript(content) {
         this.#noScript = content;
@@ -359,4 +3442,8 @@ ${this.#listeners.join('\n\n')}
 
 
 
-
+/**
+ * Named export of Document.createElement, with the automatic JSX runtime <div {...props} key="k"/> is compiled to
+ * createElement imported from the package
+ */
+Object.assign(module.exports, {createElement});
@@ -0,0 +1,46 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Attributes written following the rules of react-dom
+ */
+
+
+const fragment = async element => (await new Document().renderFragment(element)).html;
+
+describe("boolean values", () => {
+
+    it("writes the boolean attributes when true only", async () => {
+        assert.equal(await fragment(jsx("input", {disabled: true, readOnly: false})), "<input disabled/>");
+    });
+
+    it("writes the overloaded boolean attributes when true, or with their value", async () => {
+        assert.equal(await fragment(jsx("a", {download: true})), "<a download></a>");
+        assert.equal(await fragment(jsx("a", {download: "file.txt"})), `<a download="file.txt"></a>`);
+        assert.equal(await fragment(jsx("a", {download: false})), "<a></a>");
+    });
+
+    it("writes true and false for the booleanish, aria-* and data-* attributes", async () => {
+        assert.equal(
+            await fragment(jsx("div", {draggable: true, spellCheck: false, "aria-hidden": true, "data-open": false})),
+            `<div draggable="true" spellcheck="false" aria-hidden="true" data-open="false"></div>`
+        );
+    });
+
+    it("ignores the booleans on the other attributes", async () => {
+        assert.equal(await fragment(jsx("div", {title: true, id: false, className: true})), "<div></div>");
+    });
+});
+
+describe("event handlers", () => {
+
+    it("never writes the on* props which are not functions", async () => {
+        assert.equal(await fragment(jsx("div", {onClick: "alert(1)", onclick: "alert(2)", ONMOUSEOVER: "alert(3)", onLoad: 1})), "<div></div>");
+    });
+
+    it("writes the attributes starting with on which are not handlers", async () => {
+        assert.equal(await fragment(jsx("div", {on: "1", "data-onclick": "x"})), `<div on="1" data-onclick="x"></div>`);
+    });
+});
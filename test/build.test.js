@@ -0,0 +1,165 @@
+import {describe, it, beforeEach, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import {spawn, spawnSync} from "node:child_process";
+import {fileURLToPath} from "node:url";
+
+/*
+    The build command run in a temporary project
+ */
+
+
+const CLI = fileURLToPath(new URL("../bin/react-to-dynamic-markup.js", import.meta.url));
+const JSX_RUNTIME = new URL("../import/jsx-runtime.js", import.meta.url).href;
+
+let project;
+
+const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(project, file)), {recursive: true});
+    fs.writeFileSync(path.join(project, file), content);
+};
+
+const page = (file, body, exports = "") => write(file, `import {jsx} from "${JSX_RUNTIME}";\n${exports}\nexport default ${body};\n`);
+
+const build = (...args) => spawnSync(process.execPath, [CLI, "build", ...args], {cwd: project, encoding: "utf-8", timeout: 30_000});
+
+const read = file => fs.readFileSync(path.join(project, file), "utf-8");
+
+beforeEach(() => project = fs.mkdtempSync(path.join(os.tmpdir(), "build-")));
+afterEach(() => fs.rmSync(project, {recursive: true, force: true}));
+
+describe("build", () => {
+
+    it("renders the pages, copies the assets and writes the sitemap", () => {
+        page("pages/index.js", `() => jsx("h1", {children: "Home"})`);
+        page("pages/about.js", `() => jsx("p", {children: "About"})`);
+        page("pages/404.html.js", `() => jsx("p", {children: "Not found"})`, "export const sitemap = false;");
+        page("pages/_parts/Header.js", `() => null`);
+        page("pages/products/[id].js", `({name, params}) => jsx("h1", {children: params.id + ": " + name})`,
+            `export const getStaticPaths = () => [{params: {id: "1"}, props: {name: "Shoes"}}, {params: {id: "a b"}, props: {name: "Hat"}}];`);
+        write("public/css/main.css", "body {}");
+
+        const result = build("--base-url", "https://example.com/shop");
+        assert.equal(result.status, 0, result.stderr);
+
+        assert.match(read("dist/index.html"), /<h1>Home<\/h1>/);
+        assert.match(read("dist/about/index.html"), /<p>About<\/p>/);
+        assert.match(read("dist/404.html"), /<p>Not found<\/p>/);
+        assert.match(read("dist/products/1/index.html"), /<h1>1: Shoes<\/h1>/);
+        assert.match(read("dist/products/a b/index.html"), /<h1>a b: Hat<\/h1>/);
+        assert.equal(read("dist/css/main.css"), "body {}");
+        assert.ok(!fs.existsSync(path.join(project, "dist/_parts")));
+
+        assert.deepEqual(read("dist/sitemap.xml").match(/<loc>[^<]+<\/loc>/g), [
+            "<loc>https://example.com/shop/about/</loc>",
+            "<loc>https://example.com/shop/</loc>",
+            "<loc>https://example.com/shop/products/1/</loc>",
+            "<loc>https://example.com/shop/products/a%20b/</loc>"
+        ]);
+    });
+
+    it("renders the routes of the config file with its document", () => {
+        write("react-to-dynamic-markup.config.mjs", `
+            export default {
+                out: "build",
+                document: page => ({renderToDynamicMarkup: async element => "page " + page.path + " " + element.props.params.slug.join(",")}),
+                routes: [{path: "/docs/[...slug]", component: () => null, getStaticPaths: () => [{params: {slug: ["a", "b"]}}]}]
+            };
+        `);
+
+        const result = build();
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(read("build/docs/a/b/index.html"), "page /docs/a/b a,b");
+    });
+
+    for (const id of ["x/../../../escaped", "..", "x\\..\\escaped", ""])
+        it(`rejects the param ${JSON.stringify(id)} which could write outside of the output directory`, () => {
+            page("pages/[id].js", `() => null`, `export const getStaticPaths = () => [{params: {id: ${JSON.stringify(id)}}}];`);
+
+            const result = build();
+            assert.equal(result.status, 1);
+            assert.match(result.stderr, /invalid value of the param "id"/);
+            assert.deepEqual(fs.readdirSync(project).sort(), ["dist", "pages"]);
+        });
+
+    it("rejects the routes outside of the output directory", () => {
+        write("react-to-dynamic-markup.config.mjs", `export default {routes: [{path: "/../escaped.html", component: () => null}]};`);
+
+        const result = build();
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /outside of the output directory/);
+        assert.ok(!fs.existsSync(path.join(project, "escaped.html")));
+    });
+
+    it("keeps the params having a dot as directories", () => {
+        page("pages/blog/[slug].js", `({params}) => jsx("h1", {children: params.slug})`,
+            `export const getStaticPaths = () => [{params: {slug: "react-18.3"}}];`);
+        page("pages/feed.xml.js", `() => jsx("feed", {})`);
+
+        const result = build("--base-url", "https://example.com");
+        assert.equal(result.status, 0, result.stderr);
+
+        assert.match(read("dist/blog/react-18.3/index.html"), /<h1>react-18.3<\/h1>/);
+        assert.ok(fs.existsSync(path.join(project, "dist/feed.xml")));
+        assert.deepEqual(read("dist/sitemap.xml").match(/<loc>[^<]+<\/loc>/g), [
+            "<loc>https://example.com/blog/react-18.3/</loc>",
+            "<loc>https://example.com/feed.xml</loc>"
+        ]);
+    });
+
+    it("imports only the extensions given by pageExtensions besides .js, .mjs and .cjs", () => {
+        page("pages/index.js", `() => jsx("p", {children: "Home"})`);
+        write("pages/about.jsx", `export default () => <p>About</p>;`);
+
+        const result = build();
+        assert.equal(result.status, 0, result.stderr);
+        assert.ok(!fs.existsSync(path.join(project, "dist/about")));
+
+        write("react-to-dynamic-markup.config.mjs", `export default {pageExtensions: [".jsx"]};`);
+        assert.match(build().stderr, /Unknown file extension ".jsx"/);
+    });
+
+    it("keeps watching after a failed build", async () => {
+        page("pages/index.js", `() => jsx("p", {children: "Home"})`);
+        write("src/a.js", "");
+        write("react-to-dynamic-markup.config.mjs", `export default {watch: ["src"]};`);
+
+        const child = spawn(process.execPath, [CLI, "build", "--watch"], {cwd: project, stdio: ["ignore", "pipe", "pipe"]});
+        let output = "";
+        child.stdout.on("data", data => output += data);
+        child.stderr.on("data", data => output += data);
+
+        const waitFor = (text, count = 1) => new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                clearInterval(interval);
+                reject(new Error(`${JSON.stringify(text)} not written:\n${output}`));
+            }, 10_000);
+            const check = () => {
+                if (output.split(text).length > count) {
+                    clearTimeout(timeout);
+                    clearInterval(interval);
+                    resolve();
+                }
+            };
+            const interval = setInterval(check, 20);
+        });
+
+        try {
+            await waitFor("Watching");
+
+            fs.rmSync(path.join(project, "pages"), {recursive: true});
+            write("src/a.js", "// changed");
+            await waitFor("Pages directory not found");
+
+            // the next changes are built too
+            write("src/a.js", "// changed again");
+            await waitFor("Pages directory not found", 2);
+            assert.equal(child.exitCode, null);
+        }
+        finally {
+            child.kill();
+        }
+    });
+});
@@ -0,0 +1,129 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Document.Cache: the HTML of the children is rendered once, the next renders write the entry with new identifiers,
+    nonce, listeners and head tags
+ */
+
+
+// a component counting its renders, with a listener and an inline script
+const counted = () => {
+    const Component = ({label}) => {
+        Component.renders++;
+        return jsx("div", {children: [
+            jsx("button", {onClick: () => console.log("clicked"), children: label}),
+            jsx("script", {children: "console.log(1)"})
+        ]});
+    };
+    Component.renders = 0;
+    return Component;
+};
+
+const cache = (key, children, props = {}) => jsx(Document.Cache, {...props, children}, key);
+
+// identifiers of the elements, not the ones selected by the setup script
+const identifiers = html => [...html.matchAll(/data-identifier="([^"]+)" data-listeners/g)].map(match => match[1]);
+
+describe("Cache", () => {
+
+    it("writes two hits of a render with unique identifiers", async () => {
+        const doc = new Document();
+        const Component = counted();
+        const element = () => jsx("main", {children: [
+            cache("nav", jsx(Component, {label: "a"})),
+            cache("nav", jsx(Component, {label: "a"}))
+        ]});
+
+        await doc.renderPage(cache("nav", jsx(Component, {label: "a"})));
+        const {html} = await doc.renderPage(element());
+
+        assert.equal(Component.renders, 1);
+        const ids = identifiers(html);
+        assert.equal(ids.length, 2);
+        assert.equal(new Set(ids).size, 2);
+        // both buttons get their listener in the setup script
+        ids.forEach(id => assert.ok(html.includes(`document.querySelector('[data-identifier="${id}"]')`), id));
+    });
+
+    it("writes the nonce of the render in a hit", async () => {
+        const Component = counted();
+        const layout = new Document();
+
+        const first = await layout.clone().setNonce("first").renderPage(cache("nav", jsx(Component, {})));
+        const second = await layout.clone().setNonce("second").renderPage(cache("nav", jsx(Component, {})));
+
+        assert.equal(Component.renders, 1);
+        assert.match(first.html, /<script nonce="first">console\.log\(1\)<\/script>/);
+        assert.match(second.html, /<script nonce="second">console\.log\(1\)<\/script>/);
+        assert.ok(!second.html.includes("first"));
+    });
+
+    it("writes nested caches", async () => {
+        const doc = new Document();
+        const Inner = counted();
+        const Outer = ({children}) => {
+            Outer.renders = (Outer.renders ?? 0) + 1;
+            return jsx("section", {children});
+        };
+        const element = () => cache("outer", jsx(Outer, {children: [cache("inner", jsx(Inner, {label: "x"})), jsx("p", {children: "after"})]}));
+
+        const first = await doc.renderFragment(element());
+        const second = await doc.renderFragment(element());
+
+        assert.equal(Outer.renders, 1);
+        assert.equal(Inner.renders, 1);
+        assert.equal(second.html, first.html);
+        assert.match(second.html, /^<section><div><button data-identifier="[^"]+" data-listeners="click">x<\/button>/);
+        assert.match(second.script, /clicked/);
+    });
+
+    it("replays the head tags of a hit", async () => {
+        const doc = new Document();
+        const Head = () => {
+            Head.renders = (Head.renders ?? 0) + 1;
+            return [jsx(Document.Title, {children: "Cached title"}), jsx(Document.Meta, {name: "description", content: "Cached"})];
+        };
+
+        await doc.renderPage(cache("head", jsx(Head, {})));
+        const {html} = await doc.renderPage(cache("head", jsx(Head, {})));
+
+        assert.equal(Head.renders, 1);
+        assert.match(html, /<title>Cached title<\/title>/);
+        assert.match(html, /<meta name="description" content="Cached"\/>/);
+    });
+
+    it("renders again the entries invalidated by tag", async () => {
+        const doc = new Document();
+        const Nav = counted();
+        const Footer = counted();
+        const element = () => jsx("div", {children: [
+            cache("nav", jsx(Nav, {}), {tags: ["nav"]}),
+            cache("footer", jsx(Footer, {}), {tags: ["footer"]})
+        ]});
+
+        await doc.renderPage(element());
+        await doc.invalidateCache(["nav"]);
+        await doc.renderPage(element());
+
+        assert.equal(Nav.renders, 2);
+        assert.equal(Footer.renders, 1);
+    });
+
+    it("doesn't store the entries in which an error boundary caught an error", async () => {
+        const doc = new Document().onError(() => {});
+        let fails = true;
+        const Prices = () => {
+            if (fails)
+                throw new Error("unavailable");
+            return jsx("p", {children: "prices"});
+        };
+        const element = () => cache("prices", jsx(Document.ErrorBoundary, {fallback: jsx("p", {children: "fallback"}), children: jsx(Prices, {})}));
+
+        assert.equal((await doc.renderFragment(element())).html, "<p>fallback</p>");
+        fails = false;
+        assert.equal((await doc.renderFragment(element())).html, "<p>prices</p>");
+    });
+});
@@ -0,0 +1,68 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {setTimeout as wait} from "node:timers/promises";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Siblings rendered concurrently with the limit of setConcurrency
+ */
+
+
+// a list of lists of async items, counting the items rendering at the same time
+const tree = (lists, items) => {
+    const stats = {running: 0, max: 0};
+
+    const Item = async ({value}) => {
+        stats.max = Math.max(stats.max, ++stats.running);
+        await wait(5);
+        stats.running--;
+        return jsx("li", {children: value});
+    };
+
+    const element = jsx("div", {children: Array.from({length: lists}, (_, list) =>
+        jsx("ul", {children: Array.from({length: items}, (_, item) => jsx(Item, {value: `${list}.${item}`}))}))});
+
+    return {element, stats};
+};
+
+const expected = (lists, items) => `<div>${Array.from({length: lists}, (_, list) =>
+    `<ul>${Array.from({length: items}, (_, item) => `<li>${list}.${item}</li>`).join("")}</ul>`).join("")}</div>`;
+
+describe("setConcurrency", () => {
+
+    it("limits the siblings rendered at the same time in the whole render, nested lists included", async () => {
+        const {element, stats} = tree(4, 4);
+        const {html} = await new Document().setConcurrency(3).renderFragment(element);
+
+        assert.equal(html, expected(4, 4));
+        assert.equal(stats.max, 3);
+    });
+
+    it("renders the siblings one after the other with a limit of 1", async () => {
+        const {element, stats} = tree(3, 3);
+        const {html} = await new Document().setConcurrency(1).renderFragment(element);
+
+        assert.equal(html, expected(3, 3));
+        assert.equal(stats.max, 1);
+    });
+
+    it("renders all the siblings at the same time without limit", async () => {
+        const {element, stats} = tree(4, 4);
+        await new Document().setConcurrency(Infinity).renderFragment(element);
+        assert.equal(stats.max, 16);
+    });
+
+    it("limits the streamed renders", async () => {
+        const {element, stats} = tree(4, 4);
+        const html = await new Response(new Document().setConcurrency(2).renderToDynamicMarkupStream(element)).text();
+
+        assert.ok(html.includes(expected(4, 4)));
+        assert.equal(stats.max, 2);
+    });
+
+    it("rejects invalid limits", () => {
+        for (const limit of [0, -1, 1.5, NaN])
+            assert.throws(() => new Document().setConcurrency(limit), /Invalid concurrency/);
+    });
+});
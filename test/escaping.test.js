@@ -0,0 +1,134 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Hostile payloads thrown at every entry point of the escaping layer: the markup of the payload must never
+    reach the HTML, except through Document.raw
+ */
+
+
+const PAYLOAD = `"'><script>alert(1)</script><img src=x onerror=alert(2)>&amp;`;
+const ESCAPED = "&quot;&#x27;&gt;&lt;script&gt;alert(1)&lt;/script&gt;&lt;img src=x onerror=alert(2)&gt;&amp;amp;";
+
+const render = async (element, configure = () => {}) => {
+    const doc = new Document();
+    configure(doc);
+    return await doc.renderToDynamicMarkup(element);
+};
+
+const fragment = async element => (await new Document().renderFragment(element)).html;
+
+// a breakout would close the tag early, so the closing tags would be more than the tags
+const closingTags = (html, tag) => html.match(new RegExp(`</${tag}`, "gi"))?.length ?? 0;
+
+describe("text", () => {
+
+    it("escapes strings and numbers", async () => {
+        assert.equal(await fragment(jsx("p", {children: PAYLOAD})), `<p>${ESCAPED}</p>`);
+        assert.equal(await fragment(jsx("p", {children: [PAYLOAD, 1]})), `<p>${ESCAPED}1</p>`);
+    });
+
+    it("escapes the text returned by components", async () => {
+        const Component = ({value}) => value;
+        assert.equal(await fragment(jsx(Component, {value: PAYLOAD})), ESCAPED);
+    });
+
+    it("escapes the root string", async () => {
+        assert.equal(await fragment(PAYLOAD), ESCAPED);
+    });
+});
+
+describe("attributes", () => {
+
+    it("quotes and escapes the values", async () => {
+        assert.equal(await fragment(jsx("a", {title: PAYLOAD, href: PAYLOAD})), `<a title="${ESCAPED}" href="${ESCAPED}"></a>`);
+    });
+
+    it("escapes the values of style objects", async () => {
+        assert.equal(await fragment(jsx("div", {style: {color: PAYLOAD}})), `<div style="color:${ESCAPED}"></div>`);
+    });
+
+    it("ignores invalid attribute names", async () => {
+        assert.equal(await fragment(jsx("div", {[`x"><script>alert(1)</script>`]: "1", "data-ok": "1"})), `<div data-ok="1"></div>`);
+    });
+
+    it("rejects invalid tag names", async () => {
+        await assert.rejects(fragment(jsx("img src=x onerror=alert(1)", {})), /Invalid tag name/);
+    });
+});
+
+describe("document", () => {
+
+    it("escapes the title", async () => {
+        assert.ok((await render(jsx("p", {}), doc => doc.setTitle(PAYLOAD))).includes(`<title>${ESCAPED}</title>`));
+    });
+
+    it("escapes the lang", async () => {
+        assert.ok((await render(jsx("p", {}), doc => doc.setLang(PAYLOAD))).includes(`<html lang="${ESCAPED}">`));
+    });
+
+    it("escapes the no script content", async () => {
+        assert.ok((await render(jsx("p", {}), doc => doc.setNoScript(PAYLOAD))).includes(`<noscript>${ESCAPED}</noscript>`));
+    });
+
+    it("escapes the attributes of metas and links", async () => {
+        const html = await render(jsx("p", {}), doc => doc.addMeta({name: "description", content: PAYLOAD}).addLink({rel: "stylesheet", href: PAYLOAD}));
+
+        assert.ok(html.includes(`<meta name="description" content="${ESCAPED}"/>`));
+        assert.ok(html.includes(`<link rel="stylesheet" href="${ESCAPED}"/>`));
+    });
+});
+
+describe("script and style bodies", () => {
+
+    it("protects scripts against </script> breakout", async () => {
+        const html = await fragment(jsx("script", {children: `var a = "</script><script>alert(1)</script>"; <!-- x`}));
+        assert.equal(html, `<script>var a = "<\\/script><script>alert(1)<\\/script>"; <\\!-- x</script>`);
+    });
+
+    it("protects styles against </style> breakout", async () => {
+        const html = await fragment(jsx("style", {children: `p {} </STYLE><script>alert(1)</script>`}));
+        assert.equal(html, `<style>p {} <\\/STYLE><script>alert(1)</script></style>`);
+    });
+
+    it("protects the scripts and styles of the document", async () => {
+        const html = await render(jsx("p", {}), doc => doc
+            .addStyle({}, `</style><script>alert(1)</script>`)
+            .addHeaderScript({}, `"</script><script>alert(2)</script>"`, false)
+            .addBodyScript({}, `"</script><script>alert(3)</script>"`, false));
+
+        assert.equal(closingTags(html, "style"), 1);
+        // header, body and listener setup scripts, the script in the style is text
+        assert.equal(closingTags(html.replace(/<style>[\s\S]*?<\/style>/, ""), "script"), 3);
+        assert.ok(html.includes(`<style><\\/style><script>alert(1)</script></style>`));
+    });
+
+    it("protects the listener setup script", async () => {
+        const html = await render(jsx("button", {onClick: () => "</script><script>alert(1)</script>"}));
+        assert.equal(closingTags(html, "script"), 1);
+    });
+});
+
+describe("Document.raw", () => {
+
+    it("writes trusted text as is", async () => {
+        assert.equal(await fragment(jsx("div", {children: Document.raw("<b>trusted</b>")})), "<div><b>trusted</b></div>");
+    });
+
+    it("writes trusted attribute values as is", async () => {
+        assert.equal(await fragment(jsx("div", {title: Document.raw("&copy;")})), `<div title="&copy;"></div>`);
+    });
+
+    it("writes trusted title and script content as is", async () => {
+        const html = await render(jsx("script", {children: Document.raw("</script>")}), doc => doc.setTitle(Document.raw("A &amp; B")));
+
+        assert.match(html, /<title>A &amp; B<\/title>/);
+        assert.match(html, /<script><\/script><\/script>/);
+    });
+
+    it("keeps the raw marker only for trusted content", async () => {
+        assert.equal(await fragment(jsx("div", {children: String(Document.raw("<b>"))})), "<div>&lt;b&gt;</div>");
+    });
+});
@@ -0,0 +1,33 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Document.Form: a normal form, submitted with fetch when JavaScript is available
+ */
+
+
+const fragment = element => new Document().renderFragment(element);
+
+describe("Form", () => {
+
+    it("binds the element to swap and the swap mode to the submit listener", async () => {
+        const {html, script} = await fragment(jsx(Document.Form, {action: "/comments", method: "post", into: "#comments", swap: "innerHTML"}));
+
+        assert.match(html, /^<form action="\/comments" method="post" data-identifier="form_0" data-listeners="submit"><\/form>$/);
+        assert.match(script, /const into = "#comments";/);
+        assert.match(script, /const swap = "innerHTML";/);
+    });
+
+    it("writes the target attribute of HTML", async () => {
+        const {html, script} = await fragment(jsx(Document.Form, {action: "/export", target: "_blank"}));
+
+        assert.match(html, /^<form action="\/export" target="_blank"/);
+        assert.match(script, /const into = null;/);
+    });
+
+    it("rejects invalid swap modes", async () => {
+        await assert.rejects(fragment(jsx(Document.Form, {swap: "beforeend"})), /Invalid swap for Form/);
+    });
+});
@@ -0,0 +1,49 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {useId} from "react";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Hooks of the components, with the hooks dispatcher of Document
+ */
+
+
+const fragment = async element => (await new Document().renderFragment(element)).html;
+
+// suspends the first time it is called, as a component waiting for data with use(promise)
+const suspending = () => {
+    let promise = null;
+    return () => {
+        const id = useId();
+        if (!promise)
+            throw promise = new Promise(resolve => setTimeout(resolve, 1));
+        return jsx("label", {htmlFor: id, children: useId()});
+    };
+};
+
+describe("useId", () => {
+
+    it("gives the same ids as without suspending", async () => {
+        const Field = () => jsx("label", {htmlFor: useId(), children: useId()});
+
+        assert.equal(await fragment(jsx(Field, {})), `<label for=":r0:">:r1:</label>`);
+        assert.equal(await fragment(jsx(suspending(), {})), `<label for=":r0:">:r1:</label>`);
+    });
+
+    it("gives the same ids as without suspending in siblings", async () => {
+        const html = await fragment(jsx("div", {children: [jsx(suspending(), {}), jsx(suspending(), {})]}));
+        assert.equal(html, `<div><label for=":r0-0:">:r0-1:</label><label for=":r1-0:">:r1-1:</label></div>`);
+    });
+
+    it("gives unique ids in a component", async () => {
+        const ids = [];
+        const Component = () => {
+            ids.push(useId(), useId());
+            return null;
+        };
+
+        await fragment(jsx("div", {children: [jsx(Component, {}), jsx(Component, {})]}));
+        assert.equal(new Set(ids).size, 4);
+    });
+});
@@ -0,0 +1,37 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {createRequire} from "node:module";
+import Document, {createElement} from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    The elements of the JSX runtime and createElement, imported by the compilers from the package
+ */
+
+
+const require = createRequire(import.meta.url);
+
+describe("createElement", () => {
+
+    it("is exported by both folders", () => {
+        assert.equal(createElement, Document.createElement);
+        const RequiredDocument = require("../require/Document.cjs");
+        assert.equal(typeof RequiredDocument, "function");
+        assert.deepEqual(RequiredDocument.createElement("b", {key: "k"}, "x"), createElement("b", {key: "k"}, "x"));
+    });
+
+    it("separates the key from the props", () => {
+        assert.deepEqual(createElement("div", {id: "a", key: 1}), {type: "div", props: {id: "a"}, key: "1"});
+        assert.deepEqual(createElement("div", null), {type: "div", props: {}, key: null});
+    });
+
+    it("sets the children", () => {
+        assert.equal(createElement("p", null, "a").props.children, "a");
+        assert.deepEqual(createElement("p", null, "a", "b").props.children, ["a", "b"]);
+    });
+
+    it("renders like the elements of jsx", async () => {
+        const html = await new Document().renderFragment(createElement("ul", {className: "list"}, createElement("li", {key: "a"}, "a"), jsx("li", {children: "b"})));
+        assert.equal(html.html, `<ul class="list"><li>a</li><li>b</li></ul>`);
+    });
+});
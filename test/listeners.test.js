@@ -0,0 +1,40 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {Script} from "node:vm";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Server values bound to the listeners, declared as variables of the setup script
+ */
+
+
+const setupScript = async element => {
+    const {html, script} = await new Document().renderFragment(element);
+    return script ?? html.match(/<script>([\s\S]*)<\/script>/)[1];
+};
+
+describe("bindListener", () => {
+
+    it("declares the values in a setup script which parses", async () => {
+        const listener = Document.bindListener(() => console.log(message, count), {message: "</script>", count: 1});
+        const script = await setupScript(jsx("button", {onClick: listener}));
+
+        assert.match(script, /const message = /);
+        assert.doesNotThrow(() => new Script(script));
+    });
+
+    for (const name of ["class", "new", "default", "let", "await", "yield", "eval"])
+        it(`rejects the reserved word ${name}`, () => {
+            assert.throws(() => Document.bindListener(() => {}, {[name]: 1}), /Invalid variable name for bindListener/);
+        });
+
+    it("rejects invalid variable names", () => {
+        for (const name of ["a-b", "1a", "a b", ""])
+            assert.throws(() => Document.bindListener(() => {}, {[name]: 1}), /Invalid variable name for bindListener/);
+    });
+
+    it("accepts names containing reserved words", () => {
+        assert.doesNotThrow(() => Document.bindListener(() => {}, {className: 1, newValue: 2, $default: 3}));
+    });
+});
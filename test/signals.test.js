@@ -0,0 +1,37 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {runInNewContext} from "node:vm";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Signals of the client store, the setup scripts run in a context with the page's window
+ */
+
+
+const page = () => {
+    const context = {document: {currentScript: null, querySelectorAll: () => []}};
+    context.window = context;
+    return context;
+};
+
+const run = async (context, element) => runInNewContext((await new Document().renderFragment(element)).script, context);
+
+describe("Signal", () => {
+
+    it("initializes the store with the values of the signals", async () => {
+        const context = page();
+        await run(context, jsx(Document.Signal, {name: "open", value: false}));
+        assert.equal(context.window.__store.get("open"), false);
+    });
+
+    it("keeps the values changed on the client when a later setup script declares them again", async () => {
+        const context = page();
+        await run(context, jsx(Document.Signal, {name: "open", value: false}));
+        context.window.__store.set("open", true);
+
+        await run(context, jsx("div", {children: [jsx(Document.Signal, {name: "open", value: false}), jsx(Document.Signal, {name: "count", value: 1})]}));
+        assert.equal(context.window.__store.get("open"), true);
+        assert.equal(context.window.__store.get("count"), 1);
+    });
+});
@@ -0,0 +1,159 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {Writable} from "node:stream";
+import {setTimeout as wait} from "node:timers/promises";
+import {Suspense} from "react";
+import Document from "../import/Document.js";
+import {jsx} from "../import/jsx-runtime.js";
+
+/*
+    Streamed renders: backpressure and abort when the reader goes away
+ */
+
+
+// each item waits, then renders the next one inside of it, so it is sent in its own chunk
+const Item = async ({index, rendered}) => {
+    await wait(1);
+    rendered.push(index);
+    return jsx("div", {id: `item-${index}`, children: index < 19 ? jsx(Item, {index: index + 1, rendered}) : null});
+};
+
+const page = rendered => jsx(Item, {index: 0, rendered});
+
+describe("renderToDynamicMarkupStream", () => {
+
+    it("streams the whole document", async () => {
+        const html = await new Response(new Document().renderToDynamicMarkupStream(page([]))).text();
+        assert.match(html, /^\s*<!DOCTYPE html>/i);
+        assert.match(html, /<div id="item-0"><div id="item-1">[\s\S]*<div id="item-19"><\/div>/);
+        assert.match(html, /<\/html>\s*$/);
+    });
+
+    it("waits for the chunks to be read", async () => {
+        const rendered = [];
+        const reader = new Document().renderToDynamicMarkupStream(page(rendered)).getReader();
+
+        await reader.read();
+        await wait(50);
+        assert.ok(rendered.length < 5, `${rendered.length} items rendered without being read`);
+
+        await reader.cancel();
+    });
+
+    it("stops rendering when the stream is cancelled", async () => {
+        const rendered = [];
+        const errors = [];
+        const reader = new Document().renderToDynamicMarkupStream(page(rendered), {onError: error => errors.push(error)}).getReader();
+
+        await reader.read();
+        await reader.cancel(new Error("cancelled"));
+        await wait(50);
+
+        const count = rendered.length;
+        await wait(50);
+        assert.equal(rendered.length, count);
+        assert.ok(count < 20);
+        assert.equal(errors.length, 1);
+    });
+});
+
+describe("Suspense", () => {
+
+    const Late = async () => {
+        await wait(30);
+        return jsx("button", {onClick: () => console.log("late"), children: "late"});
+    };
+
+    const boundary = jsx("main", {children: [
+        jsx("button", {onClick: () => console.log("early"), children: "early"}),
+        jsx(Suspense, {fallback: jsx("p", {children: "Loading"}), children: jsx(Late, {})})
+    ]});
+
+    it("writes the fallback in place and the content later with the swap script", async () => {
+        const html = await new Response(new Document().renderToDynamicMarkupStream(boundary, {suspenseTimeout: 5})).text();
+
+        assert.ok(html.includes(`<main><button data-identifier="button_0" data-listeners="click">early</button><!--$?--><template id="B:0"></template><p>Loading</p><!--/$--></main>`));
+
+        const template = html.indexOf(`<template id="S:0"><button data-identifier="button_1" data-listeners="click">late</button></template>`);
+        const swap = html.indexOf(`__swapSuspenseBoundary("B:0", "S:0", function() {`);
+        assert.ok(html.indexOf("</main>") < html.indexOf("window.__swapSuspenseBoundary = "));
+        assert.ok(html.indexOf("window.__swapSuspenseBoundary = ") < template);
+        assert.ok(template > 0 && template < swap);
+    });
+
+    it("attaches the listeners of the content in the swap setup, not on DOMContentLoaded", async () => {
+        const html = await new Response(new Document().renderToDynamicMarkupStream(boundary, {suspenseTimeout: 5})).text();
+
+        const swapSetup = html.match(/__swapSuspenseBoundary\("B:0", "S:0", (function\(\) \{[\s\S]*?\n\})\);/)[1];
+        const loadSetup = html.match(/document\.addEventListener\('DOMContentLoaded', [\s\S]*?\n\}\);/)[0];
+
+        assert.match(swapSetup, /button_1\.addEventListener\("click", \(\) => console\.log\("late"\)\)/);
+        assert.ok(!swapSetup.includes("early"));
+        assert.match(loadSetup, /button_0\.addEventListener\("click", \(\) => console\.log\("early"\)\)/);
+        assert.ok(!loadSetup.includes("late"));
+    });
+
+    it("writes the content in place when it is rendered before the timeout", async () => {
+        const html = await new Response(new Document().renderToDynamicMarkupStream(boundary, {suspenseTimeout: 1000})).text();
+
+        assert.ok(html.includes(`early</button><button data-identifier="button_1" data-listeners="click">late</button></main>`));
+        assert.ok(!html.includes("__swapSuspenseBoundary"));
+    });
+});
+
+describe("listener setup script", () => {
+
+    it("stays inline with the nonce when streaming, even with setListenerScriptSrc", async () => {
+        const doc = new Document().setNonce("abc").setListenerScriptSrc(hash => `/listeners/${hash}.js`);
+        const element = jsx("button", {onClick: () => console.log("clicked"), children: "Ok"});
+
+        const streamed = await new Response(doc.renderToDynamicMarkupStream(element)).text();
+        assert.ok(!streamed.includes("/listeners/"));
+        assert.match(streamed, /<script nonce="abc">\s*document\.addEventListener\('DOMContentLoaded'[\s\S]*clicked/);
+
+        const {html, listenerScript} = await doc.renderPage(element);
+        assert.ok(html.includes(`<script src="${listenerScript.src}" nonce="abc"></script>`));
+    });
+});
+
+describe("pipeToNodeWritable", () => {
+
+    const writable = (onChunk = () => {}) => {
+        const chunks = [];
+        const stream = new Writable({
+            highWaterMark: 1,
+            write(chunk, encoding, callback) {
+                chunks.push(String(chunk));
+                onChunk(stream, chunks);
+                setTimeout(callback, 1);
+            }
+        });
+        return {stream, chunks};
+    };
+
+    it("writes the whole document and ends the writable", async () => {
+        const {stream, chunks} = writable();
+        await new Document().pipeToNodeWritable(page([]), stream);
+
+        assert.ok(stream.writableEnded);
+        assert.match(chunks.join(""), /<div id="item-19"><\/div>[\s\S]*<\/html>\s*$/);
+    });
+
+    it("settles and stops rendering when the writable is destroyed while waiting for drain", async () => {
+        const rendered = [];
+        // destroyed by the client without emitting drain
+        const {stream} = writable((stream, chunks) => chunks.length === 2 && setTimeout(() => stream.destroy(), 5));
+
+        await assert.rejects(new Document().pipeToNodeWritable(page(rendered), stream), /closed before the end/);
+
+        const count = rendered.length;
+        await wait(50);
+        assert.equal(rendered.length, count);
+        assert.ok(count < 20);
+    });
+
+    it("stops rendering when the writable fails", async () => {
+        const {stream} = writable((stream, chunks) => chunks.length === 2 && stream.destroy(new Error("connection reset")));
+        await assert.rejects(new Document().pipeToNodeWritable(page([]), stream), /connection reset/);
+    });
+});
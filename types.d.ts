@@ -1,6 +1,241 @@
-import {ReactElement} from "react";
+import {ReactElement, ReactNode} from "react";
+
+/**
+ * Marker for content which is trusted and must be written as is (no escaping)
+ */
+declare class RawHtml {
+    readonly html: string
+    toString(): string
+}
+
+type StreamOptions = {
+    signal?: AbortSignal,
+    onError?: (error: Error) => void,
+    suspenseTimeout?: number
+}
+
+/**
+ * Node.js writable receiving the HTML of pipeToNodeWritable (ex: http.ServerResponse), typed by the methods it uses
+ * so the Node.js types aren't needed
+ */
+type NodeWritable = {
+    write(chunk: string): boolean,
+    end(): unknown,
+    destroy(error?: Error): unknown,
+    once(event: "drain"|"close"|"error", listener: (...args: any[]) => void): unknown,
+    off(event: "drain"|"close"|"error", listener: (...args: any[]) => void): unknown
+}
+
+/**
+ * Store of the Cache elements (see setCacheStore), the methods may be async
+ */
+type CacheStore = {
+    get(key: string): any|Promise<any>,
+    set(key: string, entry: any, options: {ttl?: number, tags: string[]}): void|Promise<void>,
+    invalidate(tags: string[]): void|Promise<void>
+}
+
+/**
+ * Other sources allowed by the Content Security Policy of a render (ex: "'self'", "https://cdn.example.com")
+ */
+type ContentSecurityPolicySources = {
+    scriptSrc?: string[],
+    styleSrc?: string[]
+}
+
+/**
+ * HTML of a page with the details of its render (see renderPage)
+ */
+type RenderedPage = {
+    html: string,
+    getContentSecurityPolicy: (sources?: ContentSecurityPolicySources) => Promise<string>,
+    listenerScript: {hash: string, src: string, content: string}|null
+}
 
 export default class Document {
+    /**
+     * Set the document title from a component, it replaces the title set with setTitle
+     *
+     * Ex: <Document.Title>{product.name} - Shop</Document.Title>
+     *
+     * Result: <title>Shoes - Shop</title>
+     *
+     * NOTE: head components are ignored when streaming (the head is sent first) and by renderFragment !
+     */
+    static Title: (props: {children?: string|number|(string|number)[]}) => null
+
+    /**
+     * Add a meta tag from a component, it replaces the meta tag having the same name, property, httpEquiv, itemProp
+     * or charSet (the last one wins, so pages can override the layout)
+     *
+     * Ex: <Document.Meta name="description" content="Our shoes"/>
+     *
+     * Result: <meta name="description" content="Our shoes"/>
+     */
+    static Meta: (props: {[p:string]: string|boolean}) => null
+
+    /**
+     * Add a link tag from a component, it replaces the link tag having the same rel and href
+     *
+     * Ex: <Document.Link rel="stylesheet" href="product.css"/>
+     *
+     * Result: <link rel="stylesheet" href="product.css"/>
+     */
+    static Link: (props: {[p:string]: string|boolean}) => null
+
+    /**
+     * Add title, base, meta, link, style and script tags to the head from a component (same rules as Title, Meta and Link)
+     *
+     * Ex: <Document.Head><title>Shop</title><meta name="description" content="Our shoes"/></Document.Head>
+     */
+    static Head: (props: {children?: ReactNode}) => null
+
+    /**
+     * Utilities to read and transform the children of a component (map, forEach, count, toArray, only), same as
+     * React.Children, for React elements and elements of the JSX runtime
+     *
+     * Ex: const List = ({children}) => <ul>{Document.Children.map(children, child => <li>{child}</li>)}</ul>;
+     */
+    static Children: {
+        map<T, C>(children: C | C[], callback: (child: C, index: number) => T): C extends null | undefined ? C : T[]
+        forEach<C>(children: C | C[], callback: (child: C, index: number) => void): void
+        count(children: any): number
+        toArray(children: any): Array<Exclude<ReactNode, boolean | null | undefined>>
+        only<C>(children: C): C extends any[] ? never : C
+    }
+
+    /**
+     * Copy an element with new props and children, same as React.cloneElement
+     *
+     * Ex: Document.cloneElement(<button>Ok</button>, {className: "primary"})
+     *
+     * Result: <button className="primary">Ok</button>
+     */
+    static cloneElement<P>(element: ReactElement<P>, props?: Partial<P> & {key?: string|number|null}, ...children: ReactNode[]): ReactElement<P>
+
+    /**
+     * Check if a value is an element, same as React.isValidElement
+     *
+     * Ex: Document.isValidElement(<div/>)
+     *
+     * Result: true
+     */
+    static isValidElement(value: any): value is ReactElement
+
+    /**
+     * Create an element, same as React.createElement, for the elements of the JSX runtime (the JSX compilers
+     * import createElement from the package for elements having a key after spread props)
+     *
+     * Ex: Document.createElement("button", {className: "primary"}, "Ok")
+     *
+     * Result: <button className="primary">Ok</button>
+     */
+    static createElement(type: any, props?: any, ...children: ReactNode[]): ReactElement
+
+    /**
+     * Form working without JavaScript (normal submit), and submitted with fetch when JavaScript is available:
+     * the element "into" (CSS selector, the form itself by default) is replaced with the returned HTML
+     *
+     * Ex: <Document.Form action="/comments" method="post" into="#comments" swap="innerHTML">...</Document.Form>
+     *
+     * Result: <form action="/comments" method="post" data-identifier="form_0" data-listeners="submit">...</form>
+     *
+     * The target attribute is the one of HTML: a form submitted to another browsing context (ex: target="_blank")
+     * is submitted normally.
+     *
+     * The request has a "X-Dynamic-Markup: form" header, the server can answer with renderFragment (its
+     * listener setup script is run). A "formerror" event is dispatched on the form when the request fails.
+     *
+     * NOTE: the onSubmit prop is replaced by the submit listener !
+     */
+    static Form: (props: {into?: string, swap?: "outerHTML"|"innerHTML", children?: ReactNode, [p:string]: any}) => ReactElement
+
+    /**
+     * Render a component on the server and hydrate it on the client with React (the rest of the page stays as
+     * dynamic markup), the component is taken from the island module (see setIslandModule)
+     *
+     * Ex: <Document.Island component="Counter" props={{start: 5}}/>
+     *
+     * Result: <div data-island="island_0"><button>5</button></div><script>(window.__mountIsland ??= ...)("/islands.js", "island_0", "Counter", {start:5});</script>
+     *
+     * The props are serialized (no functions), the "as" prop sets the tag of the container (div by default).
+     * Listeners of the island are attached by React, not by the setup script.
+     */
+    static Island: (props: {component: string, props?: {[p:string]: any}, as?: string}) => null
+
+    /**
+     * Declare a signal of the client store with its initial value, the value is serialized in the setup script
+     *
+     * Listeners use the store as "store" and elements are bound to signals with data-bind-text and data-bind-attr,
+     * a name prefixed with ! is negated (null, undefined and false remove the attribute, except for aria and data
+     * attributes)
+     *
+     * Ex: <>
+     *   <Document.Signal name="open" value={false}/>
+     *   <button onClick={() => store.set("open", open => !open)}>Menu</button>
+     *   <nav data-bind-attr="hidden:!open" hidden>...</nav>
+     * </>
+     */
+    static Signal: (props: {name: string, value: any}) => null
+
+    /**
+     * Render a fallback instead of the children when they throw, the error is reported to the onError handlers
+     *
+     * Ex: <Document.ErrorBoundary fallback={<p>Unable to load the prices</p>}><Prices/></Document.ErrorBoundary>
+     *
+     * Ex: <Document.ErrorBoundary fallback={(error, {componentStack}) => <p>{error.message}</p>}>...</Document.ErrorBoundary>
+     *
+     * NOTE: the children are rendered before being written (no streaming, suspense boundaries are rendered inline) !
+     */
+    static ErrorBoundary: (props: {fallback?: ReactNode|((error: any, details: {componentStack: string}) => ReactNode), children?: ReactNode}) => null
+
+    /**
+     * Render the children once and take their HTML from the cache store on the next renders, with the listeners,
+     * head tags, signals and inline scripts they produced (the identifiers are renumbered so they stay unique)
+     *
+     * Ex: <Document.Cache key={`nav-${lang}`} ttl={60_000} tags={["nav"]}><Nav lang={lang}/></Document.Cache>
+     *
+     * The key identifies the HTML, it must include what the children depend on (props, contexts...). The ttl is in
+     * milliseconds (no expiration by default), the tags are used to invalidate entries (see invalidateCache).
+     *
+     * NOTE: the children are rendered before being written (no streaming, suspense boundaries are rendered inline),
+     * and they are not cached when an error boundary caught an error !
+     */
+    static Cache: (props: {key: string, ttl?: number, tags?: string[], children?: ReactNode}) => null
+
+    /**
+     * Wrap a component so it is rendered in a Cache element, the key (and the tags) are computed from the props
+     *
+     * Ex: const CachedFooter = Document.cacheable(Footer, ({lang}) => `footer-${lang}`, {ttl: 60_000, tags: ["footer"]});
+     */
+    static cacheable<P>(component: (props: P) => ReactNode|Promise<ReactNode>, key: (props: P) => string, options?: {ttl?: number, tags?: string[]|((props: P) => string[])}): (props: P) => ReactElement
+
+    /**
+     * Create the default cache store, kept in memory: the least recently used entry is removed when there are more
+     * than maxEntries entries (1000 by default)
+     *
+     * Ex: doc.setCacheStore(Document.createMemoryCacheStore({maxEntries: 100}))
+     */
+    static createMemoryCacheStore(options?: {maxEntries?: number}): CacheStore
+
+    /**
+     * Default priorities of the head entries (charset: 10, viewport: 20, base: 30, title: 40, meta: 50, preload: 60,
+     * link: 70, style: 80, script: 90), the entries are written from the lowest priority to the highest
+     *
+     * Ex: addStyle({priority: Document.HeadPriority.preload - 1}, ":root {--main-color: #26b72b;}")
+     */
+    static readonly HeadPriority: {
+        readonly charset: number,
+        readonly viewport: number,
+        readonly base: number,
+        readonly title: number,
+        readonly meta: number,
+        readonly preload: number,
+        readonly link: number,
+        readonly style: number,
+        readonly script: number
+    }
+
     /**
      * The document reflect the DOM, with method to modify information such as lang title, metas, links, scripts...
      *
@@ -8,6 +243,75 @@ export default class Document {
      */
     constructor()
 
+    /**
+     * Create a copy of the document configuration (attributes, title, metas, links, styles, scripts, options...)
+     *
+     * A configured document can be shared and rendered concurrently, each render has its own identifiers and listeners.
+     * A copy is needed to change the configuration for one request (ex: title, nonce).
+     *
+     * Ex: const doc = layout.clone().setTitle("Products");
+     * @return {Document}
+     */
+    clone() : Document
+
+    /**
+     * Create a copy of the document configuration (see clone) and modify it
+     *
+     * Ex: const doc = layout.extend(doc => doc.setTitle("Products").addMeta({name: "description", content: "..."}));
+     * @param {(document:Document) => void} configure
+     * @return {Document}
+     */
+    extend(configure: (document: Document) => void) : Document
+
+    /**
+     * Mark content as trusted so it is written without escaping
+     *
+     * Can be used as a child, as an attribute value, as title or as no script content
+     *
+     * Ex: <div>{Document.raw("<b>Hello</b>")}</div>
+     *
+     * Result: <div><b>Hello</b></div>
+     *
+     * WARNING: never use it with user data !
+     * @param {string} html
+     * @return {RawHtml}
+     */
+    static raw(html: string): RawHtml
+
+    /**
+     * Bind server values to a listener, they are serialized and available as variables in the client listener
+     *
+     * Ex: <button onClick={Document.bindListener(() => alert(message), {message})}>Click me</button>
+     *
+     * Result: button_0.addEventListener("click", (() => {
+     * const message = "Hello from server";
+     * return () => alert(message);
+     * })());
+     *
+     * Supported values: JSON values, undefined, NaN, Infinity, BigInt, Date, RegExp, Map and Set
+     *
+     * The names must be valid variable names, reserved words (class, new, default...) are rejected
+     * @param {Function} listener
+     * @param {{[p:string]: *}} values
+     * @return {Function}
+     */
+    static bindListener<T extends Function>(listener: T, values: {[p:string]: any}): T
+
+    /**
+     * Set the options (passive, once) of a listener
+     *
+     * Ex: <div onScroll={Document.listenerOptions(() => console.log("scroll"), {passive: true})}></div>
+     *
+     * Result: div_0.addEventListener("scroll", () => console.log("scroll"), {"passive":true});
+     *
+     * Note: for capture listeners, use the React "Capture" suffix (ex: onClickCapture). With event delegation,
+     * "passive" is ignored.
+     * @param {Function} listener
+     * @param {{passive?: boolean, once?: boolean}} options
+     * @return {Function}
+     */
+    static listenerOptions<T extends Function>(listener: T, options: {passive?: boolean, once?: boolean}): T
+
     /**
      * Transform a React element into a valid HTML string which includes a setup script for listeners (no client-side hydration)
      *
@@ -18,21 +322,108 @@ export default class Document {
      * The following methods can be used before calling renderToDynamicMarkup to modify the resulting html:
      * <ul>
      *   <li>setLang</li>
+     *   <li>setHtmlAttributes</li>
+     *   <li>setBodyAttributes</li>
      *   <li>setTitle</li>
+     *   <li>setBase</li>
      *   <li>addMeta</li>
      *   <li>addLink</li>
      *   <li>addStyle</li>
      *   <li>addHeaderScript</li>
      *   <li>addBodyScript</li>
+     *   <li>addHeadNode</li>
      *   <li>setNoScript</li>
      * </ul>
      *
      *
+     * To get the Content Security Policy or the external listener script of the render, use renderPage
+     *
      * @param reactElement
      * @return {Promise<string>}
      */
     renderToDynamicMarkup(reactElement: ReactElement) : Promise<string>
 
+    /**
+     * Same as renderToDynamicMarkup, with the details of the render: the Content Security Policy allowing its inline
+     * scripts and styles (by nonce and SHA-256 hashes) and its external listener script (see setListenerScriptSrc)
+     *
+     * A document can be shared by concurrent requests, each render has its own details.
+     *
+     * Ex: const {html, getContentSecurityPolicy, listenerScript} = await doc.renderPage(<Page/>);
+     *
+     * Result: await getContentSecurityPolicy({scriptSrc: ["'self'"]}) is "script-src 'self' 'nonce-...' 'sha256-...'; style-src 'nonce-...' 'sha256-...'"
+     *
+     * Note: style attributes are not allowed by hashes, they need 'unsafe-inline' (or 'unsafe-hashes') in style-src
+     * @param reactElement
+     * @return {Promise<{html: string, getContentSecurityPolicy: (sources?:{scriptSrc?: string[], styleSrc?: string[]}) => Promise<string>, listenerScript: {hash: string, src: string, content: string}|null}>}
+     */
+    renderPage(reactElement: ReactElement) : Promise<RenderedPage>
+
+    /**
+     * Transform a React element into HTML without doctype, html, head and body tags, with the setup script of its
+     * listeners (ex: partial page updates with htmx)
+     *
+     * The script runs right away (not on DOMContentLoaded) and selects the elements in the parent of the script tag,
+     * the snippet is the HTML followed by the script tag.
+     *
+     * Ex: const {html, script, snippet, getContentSecurityPolicy} = await doc.renderFragment(<Row/>);
+     *
+     * Result: {
+     *   html: '<tr data-identifier="row-tr_0" data-listeners="click">...</tr>',
+     *   script: '(function(root) {...})(document.currentScript?.parentNode ?? document);',
+     *   snippet: '<tr data-identifier="row-tr_0" data-listeners="click">...</tr><script>(function(root) {...</script>'
+     * }
+     *
+     * NOTE: use setIdentifierPrefix so the identifiers don't clash with the ones already in the page !
+     *
+     * getContentSecurityPolicy gives the Content Security Policy allowing the inline scripts and styles of the
+     * fragment (see renderPage).
+     *
+     * @param reactElement
+     * @return {Promise<{html: string, script: string, snippet: string, getContentSecurityPolicy: (sources?:{scriptSrc?: string[], styleSrc?: string[]}) => Promise<string>}>}
+     */
+    renderFragment(reactElement: ReactElement) : Promise<{html: string, script: string, snippet: string, getContentSecurityPolicy: (sources?: ContentSecurityPolicySources) => Promise<string>}>
+
+    /**
+     * Same as renderToDynamicMarkup, but the HTML is streamed
+     *
+     * The doctype and head are sent right away, then the body is sent as soon as it is rendered (ex: when an async
+     * component is waiting) and the stream ends with the body scripts and the listener setup script.
+     *
+     * Ex: return new Response(doc.renderToDynamicMarkupStream(<Page/>), {headers: {"Content-Type": "text/html"}});
+     *
+     * NOTE: the head is sent before rendering the body, modifications of the document made by components
+     * (setTitle, addMeta...) are ignored !
+     *
+     * The render waits for the chunks to be read (backpressure) and is aborted when the stream is cancelled
+     *
+     * @param reactElement
+     * @param {{signal?: AbortSignal, onError?: (error:Error) => void, suspenseTimeout?: number}} options
+     * @return {ReadableStream<Uint8Array>}
+     */
+    renderToDynamicMarkupStream(reactElement: ReactElement, options?: StreamOptions) : ReadableStream<Uint8Array>
+
+    /**
+     * Same as renderToDynamicMarkup, but the HTML is streamed to a Node.js writable (ex: express response)
+     *
+     * The doctype and head are sent right away, then the body is sent as soon as it is rendered (ex: when an async
+     * component is waiting) and the writable ends with the body scripts and the listener setup script.
+     *
+     * Ex: await doc.pipeToNodeWritable(<Page/>, response);
+     *
+     * NOTE: the head is sent before rendering the body, modifications of the document made by components
+     * (setTitle, addMeta...) are ignored !
+     *
+     * If the render fails, the writable is destroyed and the promise is rejected. The render is aborted when the
+     * writable is closed or fails before the end (ex: the client disconnected)
+     *
+     * @param reactElement
+     * @param {import("node:stream").Writable} writable
+     * @param {{signal?: AbortSignal, onError?: (error:Error) => void, suspenseTimeout?: number}} options
+     * @return {Promise<void>}
+     */
+    pipeToNodeWritable(reactElement: ReactElement, writable: NodeWritable, options?: StreamOptions) : Promise<void>
+
 
     /**
      * Set the createComponent callback
@@ -41,36 +432,166 @@ export default class Document {
      *
      * It can be used by example to add document as second property of any component created
      *
-     * Ex: setCreateComponentCallback(async (component, props, children) => component(props, doc, children));
+     * Ex: setCreateComponentCallback(async (component, props) => component(props, doc));
+     *
+     * The children are in props.children as elements. With the renderChildren option, they are also rendered and
+     * given as third argument (written as is), the component must then use them instead of props.children:
+     *
+     * Ex: setCreateComponentCallback(async (component, props, children) => component(props, doc, children), {renderChildren: true});
      *
      * Note: It doesn't affect root component ! But you can do it by calling root component as a function when
      * using renderToDynamicMarkup:
      *
      * EX: use: renderToDynamicMarkup(Page({ id: "page"}, document)) instead of: renderToDynamicMarkup(<Page id="page" />)
      *
-     * @param {(component:Object, props:Object, children?:Object) => Promise<Object>} createComponent
+     * Note: class components are instantiated by the renderer and don't use the callback
+     *
+     * @param {(component:Function, props:Object, children?:RawHtml) => Promise<Object>} createComponent
+     * @param {{renderChildren?: boolean}} options
+     */
+    setCreateComponentCallback(createComponent: (component: Function, props: Object, children?: RawHtml) => ReactElement|Promise<ReactElement>, options?: {renderChildren?: boolean}) : this
+
+    /**
+     * Set the Content Security Policy nonce, added to every script and style tag (including the listener setup script)
+     *
+     * A new nonce must be generated for each request.
+     *
+     * Ex: setNonce(crypto.randomUUID())
+     *
+     * Result: <script nonce="...">...</script>
+     * @param {string} nonce
+     */
+    setNonce(nonce: string) : this
+
+    /**
+     * Write the listener setup script as an external script instead of an inline script
+     *
+     * The callback receives the content hash of the script and returns its URL. After rendering, the script is available
+     * in the listenerScript of renderPage, and must be served at this URL.
+     *
+     * NOTE: when streaming, the script stays inline (with the nonce), as the stream can't give its content !
+     *
+     * Ex: setListenerScriptSrc(hash => `/listeners/${hash}.js`)
+     *
+     * Result: <script src="/listeners/1f2e3d4c5b6a7988.js"></script>
+     * @param {((hash:string) => string)|null} src
      */
-    setCreateComponentCallback(createComponent: (component: Function, props: Object, children?:ReactElement) => ReactElement|Promise<ReactElement>) : this
+    setListenerScriptSrc(src: ((hash: string) => string)|null) : this
+
+    /**
+     * Set the prefix of the identifiers (data-identifier) of the elements having listeners
+     *
+     * Ex: setIdentifierPrefix("cart-")
+     *
+     * Result: <button data-identifier="cart-button_0" data-listeners="click">
+     * @param {string} prefix letters, digits, "_" and "-" (not starting with a digit or "-")
+     */
+    setIdentifierPrefix(prefix: string) : this
+
+    /**
+     * Enable or disable event delegation
+     *
+     * Without event delegation (default), the setup script selects each element having listeners and adds its listeners.
+     *
+     * With event delegation, the setup script registers each distinct handler once and adds one listener per event
+     * type on the document, which calls the handlers of the element (found by its data-identifier). It's much
+     * smaller when many elements have the same listeners (ex: table rows).
+     *
+     * Ex: setEventDelegation(true)
+     *
+     * Result: (window.__delegateListeners ??= function delegateListeners(handlers, registry) {...})([
+     * () => alert("hello")
+     * ], {"tr_0":[["click",0]],"tr_1":[["click",0]]});
+     * @param {boolean} enabled
+     */
+    setEventDelegation(enabled?: boolean) : this
+
+    /**
+     * Set the number of siblings (children of an element, arrays) rendered at the same time in a render, 64 by default,
+     * so async components (ex: fetching data) wait at the same time. The limit is shared by the nested siblings: a
+     * sibling waiting for its own children doesn't count. The HTML and the identifiers keep the order of the siblings.
+     *
+     * Ex: setConcurrency(4)
+     *
+     * Ex: setConcurrency(1) // siblings are rendered one after the other
+     *
+     * Ex: setConcurrency(Infinity) // no limit
+     * @param {number} limit
+     */
+    setConcurrency(limit?: number) : this
+
+    /**
+     * Set the store of the Cache elements, it is shared by the copies of the document (in memory by default, see
+     * Document.createMemoryCacheStore)
+     *
+     * A store has the methods get(key), set(key, entry, {ttl, tags}) and invalidate(tags), they may be async (ex: Redis).
+     * The entries are plain objects, the HTML and the listeners are strings, the head tags keep their props.
+     *
+     * Ex: setCacheStore(Document.createMemoryCacheStore({maxEntries: 100}))
+     * @param {{get: (key:string) => Object|undefined|Promise<Object|undefined>, set: (key:string, entry:Object, options:{ttl?: number, tags: string[]}) => void|Promise<void>, invalidate: (tags:string[]) => void|Promise<void>}} store
+     */
+    setCacheStore(store: CacheStore) : this
+
+    /**
+     * Remove the entries of the cache store having one of the tags (see Document.Cache)
+     *
+     * Ex: await doc.invalidateCache(["nav"])
+     * @param {string[]} tags
+     * @return {Promise<void>}
+     */
+    invalidateCache(tags: string[]) : Promise<void>
 
     /**
      * Set html "lang" attribute
      *
      * Ex: setLang("fr")
      *
-     * Result: <html lang='fr'>
+     * Result: <html lang="fr">
      * @param {string} lang
      */
     setLang(lang: string) : this
 
+    /**
+     * Set html tag attributes, they replace the attributes set before (except lang, see setLang)
+     *
+     * Ex: setHtmlAttributes({className: "dark", "data-theme": "dark"})
+     *
+     * Result: <html lang="en" class="dark" data-theme="dark">
+     * @param {{[p:string]: *}} attributes
+     */
+    setHtmlAttributes(attributes: {[p:string]: any}) : this
+
+    /**
+     * Set body tag attributes, they replace the attributes set before
+     *
+     * Ex: setBodyAttributes({className: "home", style: {margin: 0}})
+     *
+     * Result: <body class="home" style="margin:0">
+     * @param {{[p:string]: *}} attributes
+     */
+    setBodyAttributes(attributes: {[p:string]: any}) : this
+
+    /**
+     * Set header base tag (written before the title, see Document.HeadPriority)
+     *
+     * Ex: setBase({href: "https://example.com/shop/", target: "_blank"})
+     *
+     * Result: <base href="https://example.com/shop/" target="_blank" />
+     * @param {{[p:string]: string}} attributes
+     */
+    setBase(attributes: {[p:string]: string}) : this
+
     /**
      * Set document's title
      *
      * Ex: setTitle("Hello")
      *
      * Result: <title>Hello</title>
-     * @param {string} title
+     *
+     * Note: the title is escaped, use Document.raw to write it as is
+     * @param {string|RawHtml} title
      */
-    setTitle(title: string) : this
+    setTitle(title: string|RawHtml) : this
 
     /**
      * Add header meta tag
@@ -147,13 +668,77 @@ export default class Document {
      */
     addBodyScript(attributes: {[p:string]: string|boolean}, content?: Function|string, waitDomContentLoaded?: boolean): this
 
+    /**
+     * Add a raw node to the head, at the position given by its priority (see Document.HeadPriority)
+     *
+     * Ex: addHeadNode(Document.raw("<!-- styles -->"), Document.HeadPriority.style - 1)
+     *
+     * Result: <!-- styles --> (before the styles)
+     *
+     * Ex: addHeadNode(<meta name="robots" content="noindex"/>)
+     *
+     * Result: <meta name="robots" content="noindex"/> (at the end of the head)
+     * @param {RawHtml|ReactElement} node
+     * @param {number?} priority
+     */
+    addHeadNode(node: RawHtml|ReactElement, priority?: number) : this
+
+    /**
+     * Set the client module of the islands and the components which can be used as islands (see Document.Island)
+     *
+     * The module is loaded in the browser, it exports the components by name, createElement (from react) and
+     * hydrateRoot (from react-dom/client).
+     *
+     * Ex: setIslandModule("/js/islands.js", {Counter, Cart})
+     *
+     * With /js/islands.js bundled for the browser:
+     * export {createElement} from "react";
+     * export {hydrateRoot} from "react-dom/client";
+     * export {Counter, Cart} from "./components.js";
+     * @param {string} src
+     * @param {{[name:string]: Function}} components
+     */
+    setIslandModule(src: string, components: {[name:string]: Function}) : this
+
+    /**
+     * Add a handler called with the errors thrown while rendering, the ones caught by error boundaries included
+     *
+     * Ex: onError((error, {componentStack}) => console.error(error, componentStack))
+     *
+     * Result: Error: Price unavailable
+     *     at Price
+     *     at div
+     *     at Product
+     * @param {(error:*, details: {componentStack: string}) => void} handler
+     */
+    onError(handler: (error: any, details: {componentStack: string}) => void) : this
+
+    /**
+     * Enable the development mode: the errors are shown in an overlay, with their component stack
+     *
+     * When the render fails, the page is rendered with the overlay instead of rejecting (except when streaming).
+     *
+     * NOTE: don't enable it in production, the overlay shows the error stacks !
+     * @param {boolean} enabled
+     */
+    setDevMode(enabled?: boolean) : this
+
     /**
      * Set "no script" tag content
      *
      * Ex: setNoScript("Unable to run scripts !")
      *
      * Result: <noscript>Unable to run scripts !</noscript>
-     * @param {string} content
+     *
+     * Note: the content is escaped, use Document.raw to write HTML
+     * @param {string|RawHtml} content
      */
-    setNoScript(content: string) : this
-}
\ No newline at end of file
+    setNoScript(content: string|RawHtml) : this
+}
+
+
+/**
+ * Named export of Document.createElement, with the automatic JSX runtime <div {...props} key="k"/> is compiled to
+ * createElement imported from the package
+ */
+export declare function createElement(type: any, props?: any, ...children: ReactNode[]): ReactElement
\ No newline at end of file
@@ -6,6 +6,9 @@ import * as fs from "node:fs";
     This file allow to update one or the other by doing "npm run update-folder require|import"
     By example doing "npm run update-folder import" will copy require/Documents.js into
     import/Document.js and change the export type.
+
+    The JSX runtimes are updated the same way, their named exports "export {...}" become "module.exports = {...}"
+    The named exports of Document become "Object.assign(module.exports, {...})", as module.exports is Document
  */
 
 
@@ -14,16 +17,23 @@ const folder = process.argv[2];
 if (!["import", "require"].includes(folder))
     console.log("Invalid folder, expected 'import' or 'require'");
 
+const files = ["Document", "jsx-runtime", "jsx-dev-runtime"];
+
 
 if (folder === "import") {
-    const content = fs.readFileSync("./require/Document.cjs", { encoding: "utf-8" });
-    fs.writeFileSync("./import/Document.js", content.replace("module.exports =", "export default"));
+    files.forEach(file => {
+        const content = fs.readFileSync(`./require/${file}.cjs`, { encoding: "utf-8" });
+        fs.writeFileSync(`./import/${file}.js`, content
+            .replace(/^module\.exports = \{/m, "export {")
+            .replace(/^Object\.assign\(module\.exports, \{(.*)\}\);$/m, "export {$1};")
+            .replace("module.exports =", "export default"));
+    });
 }
 else {
-    const content = fs.readFileSync("./import/Document.js", { encoding: "utf-8" });
-    fs.writeFileSync("./require/Document.cjs", content.replace("export default", "module.exports ="));
+    files.forEach(file => {
+        const content = fs.readFileSync(`./import/${file}.js`, { encoding: "utf-8" });
+        fs.writeFileSync(`./require/${file}.cjs`, content
+            .replace(/^export \{(.*)\};$/m, (exports, names) => content.includes("export default") ? `Object.assign(module.exports, {${names}});` : `module.exports = {${names}};`)
+            .replace("export default", "module.exports ="));
+    });
 }
-
-
-
-